@@ -0,0 +1,96 @@
+// auctionEvents.js
+// Postgres LISTEN/NOTIFY between ingest.js and server.js (separate processes, shared DB).
+// - ingest.js calls notifyAuctionsChanged() once the live auctions table has moved
+//   (after a full sync, once its ingest_state is saved; after an auctions_ended poll recorded sales)
+// - server.js keeps one listening connection (listenAuctionChanges) and re-checks whatever
+//   depends on live BINs: SSE LBIN streams on every notification, watches on "sync"
+//
+// Payload: { reason: "sync" | "ended", ts }. It carries no item keys; listeners re-query.
+// NOTIFY is fire-and-forget: nobody listening (or the server down) just means nobody hears it.
+import pg from "pg";
+
+export const AUCTIONS_CHANNEL = "auctions_changed";
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30_000;
+
+/**
+ * db: pool or client. Never throws; a lost notification only delays live views until the next one.
+ */
+export async function notifyAuctionsChanged(db, reason, ts = Date.now()) {
+  try {
+    await db.query("SELECT pg_notify($1, $2)", [AUCTIONS_CHANNEL, JSON.stringify({ reason, ts })]);
+  } catch (e) {
+    console.error("⚠️ auctions_changed notify failed:", e?.message || e);
+  }
+}
+
+/**
+ * Hold a dedicated connection LISTENing on AUCTIONS_CHANNEL, reconnecting with backoff.
+ * onChange({ reason, ts }) runs per notification; onConnect() after every (re)connect, since
+ * notifications sent while disconnected are lost and callers should re-check once.
+ * Returns { close(), isConnected() }.
+ */
+export function listenAuctionChanges({ connectionString, onChange, onConnect }) {
+  let client = null;
+  let closed = false;
+  let connected = false;
+  let retryMs = RECONNECT_MIN_MS;
+  let retryTimer = null;
+
+  const scheduleReconnect = () => {
+    connected = false;
+    if (closed || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, retryMs);
+    retryTimer.unref?.();
+    retryMs = Math.min(RECONNECT_MAX_MS, retryMs * 2);
+  };
+
+  async function connect() {
+    const c = new pg.Client({ connectionString });
+    client = c;
+
+    c.on("notification", (msg) => {
+      if (msg.channel !== AUCTIONS_CHANNEL) return;
+      let payload = {};
+      try {
+        payload = JSON.parse(msg.payload || "{}");
+      } catch {}
+      onChange?.(payload);
+    });
+    c.on("error", (e) => {
+      console.error("⚠️ auctions_changed listener error:", e?.message || e);
+      c.end().catch(() => {});
+      scheduleReconnect();
+    });
+
+    try {
+      await c.connect();
+      await c.query(`LISTEN ${AUCTIONS_CHANNEL}`);
+      if (closed) return void c.end().catch(() => {});
+      connected = true;
+      retryMs = RECONNECT_MIN_MS;
+      console.log(`👂 Listening for ${AUCTIONS_CHANNEL}`);
+      onConnect?.();
+    } catch (e) {
+      console.error("⚠️ auctions_changed listener connect failed:", e?.message || e);
+      c.end().catch(() => {});
+      scheduleReconnect();
+    }
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      connected = false;
+      if (retryTimer) clearTimeout(retryTimer);
+      client?.end().catch(() => {});
+    },
+    isConnected: () => connected,
+  };
+}
@@ -0,0 +1,272 @@
+// auctionSource.js
+// Where ingest.js gets its auction pages from.
+//
+// Every source has the same shape:
+//   kind                      -> "live" | "dir" | "replay"
+//   fetchPage(page)           -> Hypixel /skyblock/auctions page JSON ({ success, totalPages, lastUpdated, auctions })
+//   fetchEnded()              -> Hypixel /v2/skyblock/auctions_ended JSON ({ success, auctions })
+//   now()                     -> the "current time" ingest should use (real for live, simulated for dumps)
+//
+// Sources:
+// - live:   the real Hypixel API (needs HYPIXEL_API_KEY), every request goes through a
+//           requests-per-minute budget (HYPIXEL_RPM) and backs off on 429 / Retry-After
+// - dir:    one recorded snapshot: page-0.json, page-1.json, ... (+ optional ended.json)
+// - replay: a folder of snapshot folders (sorted by name), walked one at a time with next()
+//
+// Record dumps with: node tools/record_snapshot.js <outDir>
+
+import fs from "node:fs/promises";
+import { readdirSync } from "node:fs";
+import path from "node:path";
+
+const API = "https://api.hypixel.net/skyblock/auctions";
+const ENDED_API = "https://api.hypixel.net/v2/skyblock/auctions_ended";
+
+const DEFAULT_RPM = Number(process.env.HYPIXEL_RPM || 240);
+const MAX_RETRY_AFTER_MS = 120_000; // never trust a Retry-After longer than this
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* =========================
+   Rate limit budget
+========================= */
+
+/**
+ * Sliding one-minute window shared by every request of a source.
+ * take() resolves when a request may go out; pause(ms) makes everyone wait (429).
+ * Waiters are chained so concurrent fetchers don't stampede the window.
+ */
+export function createRateLimiter({ rpm = DEFAULT_RPM } = {}) {
+  const WINDOW_MS = 60_000;
+  const limit = Math.max(1, Math.trunc(Number(rpm) || DEFAULT_RPM));
+  const stamps = [];
+  let pausedUntil = 0;
+  let chain = Promise.resolve();
+
+  async function acquire() {
+    while (true) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+
+      while (stamps.length && now - stamps[0] >= WINDOW_MS) stamps.shift();
+      if (stamps.length < limit) {
+        stamps.push(now);
+        return;
+      }
+      await sleep(WINDOW_MS - (now - stamps[0]) + 5);
+    }
+  }
+
+  return {
+    rpm: limit,
+    take() {
+      chain = chain.then(acquire);
+      return chain;
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+function retryAfterMs(res) {
+  const raw = res.headers.get("retry-after");
+  if (!raw) return null;
+
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, secs * 1000));
+
+  const at = Date.parse(raw); // HTTP-date form
+  return Number.isFinite(at) ? Math.min(MAX_RETRY_AFTER_MS, Math.max(0, at - Date.now())) : null;
+}
+
+/* =========================
+   Live (Hypixel API)
+========================= */
+export async function fetchJson(url, tries = 4, { limiter = null } = {}) {
+  let lastErr = null;
+  for (let i = 0; i < tries; i++) {
+    try {
+      if (limiter) await limiter.take();
+
+      const res = await fetch(url, {
+        headers: { accept: "application/json" },
+      });
+
+      if (res.status === 429) {
+        // Back off everyone sharing this budget, not just this request
+        const wait = retryAfterMs(res) ?? 5_000 * (i + 1);
+        limiter?.pause(wait);
+        lastErr = new Error(`HTTP 429 (retry after ${wait}ms)`);
+        console.warn(`⏳ Rate limited, waiting ${wait}ms`);
+        if (!limiter) await sleep(wait);
+        continue;
+      }
+
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      return data;
+    } catch (e) {
+      lastErr = e;
+      await sleep(250 + i * 350);
+    }
+  }
+  throw lastErr || new Error("fetch failed");
+}
+
+export function createLiveSource({ apiKey = process.env.HYPIXEL_API_KEY, rpm = DEFAULT_RPM } = {}) {
+  if (!apiKey) throw new Error("Missing env var: HYPIXEL_API_KEY");
+
+  const limiter = createRateLimiter({ rpm });
+
+  return {
+    kind: "live",
+    limiter,
+
+    async fetchPage(page) {
+      const url = `${API}?page=${page}&key=${encodeURIComponent(apiKey)}`;
+      const data = await fetchJson(url, 4, { limiter });
+      if (!data?.success) throw new Error(`Hypixel API error on page ${page}`);
+      return data;
+    },
+
+    // auctions_ended only covers the last ~60 seconds and needs no key.
+    async fetchEnded() {
+      const data = await fetchJson(ENDED_API, 4, { limiter });
+      if (!data?.success) throw new Error("Hypixel API error on auctions_ended");
+      return data;
+    },
+
+    now() {
+      return Date.now();
+    },
+  };
+}
+
+/* =========================
+   Recorded snapshot (one directory)
+========================= */
+async function readJsonFile(file) {
+  const raw = await fs.readFile(file, "utf8");
+  return JSON.parse(raw);
+}
+
+/**
+ * One snapshot on disk. now() is page-0's lastUpdated, so finalize/grace logic
+ * runs against the time the snapshot was taken, not the time you replay it.
+ */
+export function createDirSource(dir, { fallbackNow = null } = {}) {
+  const pages = new Map();
+  let snapshotNow = null;
+
+  async function loadPage(page) {
+    if (pages.has(page)) return pages.get(page);
+
+    const file = path.join(dir, `page-${page}.json`);
+    let data;
+    try {
+      data = await readJsonFile(file);
+    } catch (e) {
+      throw new Error(`Snapshot ${dir} has no readable page ${page} (${e?.message || e})`);
+    }
+    if (!data?.success) throw new Error(`Recorded API error on page ${page} in ${dir}`);
+
+    pages.set(page, data);
+    if (page === 0) snapshotNow = Number(data.lastUpdated || 0) || null;
+    return data;
+  }
+
+  return {
+    kind: "dir",
+    dir,
+
+    fetchPage: loadPage,
+
+    async fetchEnded() {
+      try {
+        const data = await readJsonFile(path.join(dir, "ended.json"));
+        return data?.success ? data : { success: true, auctions: [] };
+      } catch {
+        // ended.json is optional
+        return { success: true, auctions: [] };
+      }
+    },
+
+    now() {
+      return snapshotNow ?? fallbackNow ?? Date.now();
+    },
+
+    // fetchPage(0) sets now(); call this before the sync reads the clock
+    async prime() {
+      await loadPage(0);
+    },
+  };
+}
+
+/* =========================
+   Replay (folder of snapshots over simulated time)
+========================= */
+
+/**
+ * Walks snapshot folders in name order. Snapshots without lastUpdated get
+ * a simulated clock of (previous snapshot's clock + stepMs).
+ */
+export function createReplaySource(dir, { stepMs = 60_000, startTs = Date.now() } = {}) {
+  const snapshots = readdirSync(dir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+
+  if (!snapshots.length) throw new Error(`Replay dir has no snapshot folders: ${dir}`);
+
+  let index = 0;
+  const open = (i, fallbackNow) => createDirSource(path.join(dir, snapshots[i]), { fallbackNow });
+  let current = open(0, startTs);
+
+  return {
+    kind: "replay",
+    dir,
+
+    get snapshot() {
+      return snapshots[index];
+    },
+    get index() {
+      return index;
+    },
+    get total() {
+      return snapshots.length;
+    },
+
+    fetchPage: (page) => current.fetchPage(page),
+    fetchEnded: () => current.fetchEnded(),
+    now: () => current.now(),
+    prime: () => current.prime(),
+
+    // move to the next snapshot; false when the replay is over
+    next() {
+      if (index + 1 >= snapshots.length) return false;
+      const prevNow = current.now();
+      index++;
+      current = open(index, prevNow + stepMs);
+      return true;
+    },
+  };
+}
+
+/* =========================
+   Factory (env / CLI)
+========================= */
+export function createAuctionSource({ kind = "live", dir = "", stepMs } = {}) {
+  const k = String(kind || "live").toLowerCase();
+
+  if (k === "live") return createLiveSource();
+
+  if (!dir) throw new Error(`Auction source "${k}" needs a directory (INGEST_SOURCE_DIR or --dir=)`);
+  if (k === "dir") return createDirSource(dir);
+  if (k === "replay") return createReplaySource(dir, stepMs ? { stepMs } : {});
+
+  throw new Error(`Unknown auction source: ${kind}`);
+}
@@ -0,0 +1,206 @@
+// cosmetics.js
+// Dye / skin / pet skin / pet item catalogs for the search boxes and /api/recommend.
+//
+// Two sources, merged per catalog:
+// - observed: values actually seen in stored signatures (dye:, skin:, petskin:, pet_item: tokens),
+//   counted from their item_attributes columns (or the signature tokens themselves for rows that
+//   never got an item_attributes row); refreshObservedCosmetics() re-reads them
+// - curated: data/cosmetics.json (or COSMETICS_FILE) gives display labels, fixes keys that don't
+//   come out of the label, and hides junk values; reloadCuratedCosmetics() swaps it in at runtime
+//
+// A value released in-game shows up as soon as it's been ingested (labelled from its key);
+// the curated file only matters for nicer labels and for values nobody has listed yet.
+//
+// Curated file:
+//   { "version": 1, "dyes": [ "Aquamarine Dye", { "label": "...", "key": "...", "hidden": true }, ... ], ... }
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { normKey } from "./parseLore.js";
+
+/* =========================
+   Catalogs
+========================= */
+
+// catalog -> item_attributes column holding its signature value (same name as the signature token)
+export const COSMETIC_KINDS = {
+  dyes: "dye",
+  skins: "skin",
+  petskins: "petskin",
+  petitems: "pet_item",
+};
+
+const COSMETICS_FILE = process.env.COSMETICS_FILE
+  ? path.resolve(process.env.COSMETICS_FILE)
+  : fileURLToPath(new URL("./data/cosmetics.json", import.meta.url));
+
+let CURATED = emptyCatalogs();
+let CURATED_VERSION = 0;
+let OBSERVED = emptyCatalogs();
+let OBSERVED_TS = 0;
+let MERGED = emptyCatalogs();
+
+function emptyCatalogs() {
+  return Object.fromEntries(Object.keys(COSMETIC_KINDS).map((k) => [k, []]));
+}
+
+// Same key shape the signature uses ("Pot O' Gold Rock Skin" -> pot_o_gold_rock_skin)
+export function cosmeticKey(label) {
+  return normKey(String(label || "").replace(/_/g, " ")).replace(/\s+/g, "_");
+}
+
+function labelFromKey(key) {
+  return String(key)
+    .split("_")
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+/* =========================
+   Curated file
+========================= */
+
+/**
+ * Validate a parsed cosmetics file.
+ * Throws one error listing every problem, so a bad edit is fixed in one pass.
+ */
+function buildCuratedCatalogs(data) {
+  const problems = [];
+  const out = emptyCatalogs();
+
+  if (!data || typeof data !== "object") throw new Error("cosmetics: file must be a JSON object");
+  if (!Number.isInteger(data.version) || data.version < 1) problems.push("version must be a positive integer");
+
+  for (const kind of Object.keys(COSMETIC_KINDS)) {
+    const list = data[kind] ?? [];
+    if (!Array.isArray(list)) {
+      problems.push(`${kind} must be an array`);
+      continue;
+    }
+
+    const seen = new Set();
+    list.forEach((raw, i) => {
+      const e = typeof raw === "string" ? { label: raw } : raw;
+      const at = `${kind}[${i}]`;
+      if (!e || typeof e !== "object") return problems.push(`${at}: expected a label or an object`);
+
+      const label = String(e.label ?? "").trim();
+      const key = e.key != null ? cosmeticKey(e.key) : cosmeticKey(label);
+      if (!label && !e.hidden) return problems.push(`${at}: label is required`);
+      if (!key) return problems.push(`${at}: no usable key`);
+      if (seen.has(key)) return problems.push(`${at}: duplicate key "${key}"`);
+      seen.add(key);
+
+      out[kind].push({ label: label || labelFromKey(key), key, hidden: !!e.hidden });
+    });
+  }
+
+  if (problems.length) throw new Error(`cosmetics: ${problems.length} problem(s)\n- ${problems.join("\n- ")}`);
+  return out;
+}
+
+export function reloadCuratedCosmetics(file = COSMETICS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`cosmetics: cannot read ${file} (${e?.message || e})`);
+  }
+
+  CURATED = buildCuratedCatalogs(data);
+  CURATED_VERSION = data.version;
+  rebuildMerged();
+  return {
+    version: CURATED_VERSION,
+    entries: Object.fromEntries(Object.entries(CURATED).map(([k, v]) => [k, v.length])),
+    file,
+  };
+}
+
+/* =========================
+   Observed values
+========================= */
+
+// <col>:<value> straight out of the signature, for sales/auctions rows without an item_attributes row
+function signatureFallbackSql(table, col) {
+  return `SELECT t.uuid, substring(t.signature FROM '\\|${col}:([^|]+)') AS key
+          FROM ${table} t
+          LEFT JOIN item_attributes ia ON ia.row_kind = '${table}' AND ia.uuid = t.uuid
+          WHERE ia.uuid IS NULL AND t.signature LIKE '%|${col}:%'`;
+}
+
+/**
+ * Count every cosmetic value present in item_attributes (sales + live auctions), plus the
+ * dye:/skin:/petskin:/pet_item: tokens of stored signatures that have no item_attributes row.
+ * db: pool or client. Keeps the previous counts if the query fails.
+ */
+export async function refreshObservedCosmetics(db) {
+  const selects = Object.entries(COSMETIC_KINDS).map(
+    ([kind, col]) =>
+      `SELECT '${kind}' AS kind, v.key, COUNT(DISTINCT v.uuid)::int AS n
+       FROM (
+         SELECT uuid, ${col} AS key FROM item_attributes
+         UNION ALL ${signatureFallbackSql("sales", col)}
+         UNION ALL ${signatureFallbackSql("auctions", col)}
+       ) v
+       WHERE v.key IS NOT NULL AND v.key <> 'none'
+       GROUP BY v.key`
+  );
+  const { rows } = await db.query(selects.join("\nUNION ALL\n"));
+
+  const next = emptyCatalogs();
+  for (const r of rows) next[r.kind]?.push({ key: r.key, count: Number(r.n) || 0 });
+
+  OBSERVED = next;
+  OBSERVED_TS = Date.now();
+  rebuildMerged();
+  return Object.fromEntries(Object.entries(OBSERVED).map(([k, v]) => [k, v.length]));
+}
+
+/* =========================
+   Merged view
+========================= */
+
+function rebuildMerged() {
+  const next = emptyCatalogs();
+
+  for (const kind of Object.keys(COSMETIC_KINDS)) {
+    const byKey = new Map();
+    const hidden = new Set();
+
+    for (const c of CURATED[kind]) {
+      if (c.hidden) hidden.add(c.key);
+      else byKey.set(c.key, { label: c.label, key: c.key, count: 0, curated: true });
+    }
+    for (const o of OBSERVED[kind]) {
+      if (hidden.has(o.key)) continue;
+      const hit = byKey.get(o.key);
+      if (hit) hit.count = o.count;
+      else byKey.set(o.key, { label: labelFromKey(o.key), key: o.key, count: o.count, curated: false });
+    }
+
+    // most-seen first; curated values nobody has listed yet keep their file order at the end
+    next[kind] = [...byKey.values()].sort((a, b) => b.count - a.count);
+  }
+
+  MERGED = next;
+}
+
+/** [{ label, key, count, curated }] for one catalog (works with normalizeFromOptions). */
+export function cosmeticOptions(kind) {
+  return MERGED[kind] || [];
+}
+
+export function searchCosmetics(kind, q, limit = 30) {
+  const nq = normKey(q || "");
+  const all = cosmeticOptions(kind);
+  const items = !nq ? all : all.filter((x) => normKey(x.label).includes(nq) || normKey(x.key).includes(nq));
+  return items.slice(0, limit);
+}
+
+export function getCosmeticsInfo() {
+  return { curated_version: CURATED_VERSION, observed_ts: OBSERVED_TS || null };
+}
+
+reloadCuratedCosmetics();
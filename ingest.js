@@ -12,54 +12,73 @@ console.log("HAS_DATABASE_URL", !!process.env.DATABASE_URL);
 console.log("HAS_HYPIXEL_KEY", !!process.env.HYPIXEL_API_KEY);
 console.log("DB_URL_TAIL", String(process.env.DATABASE_URL || "").slice(-16));
 
+import { pathToFileURL } from "node:url";
 import dotenv from "dotenv";
 import pg from "pg";
-import { canonicalItemKey, buildSignature } from "./parseLore.js";
+import {
+  canonicalItemKey,
+  readItemDisplay,
+  SIGNATURE_VERSION,
+  signatureVersionOf,
+} from "./parseLore.js";
+import { createAuctionSource } from "./auctionSource.js";
+import { createSignaturePool } from "./signaturePool.js";
+import { upsertItemAttributes } from "./itemAttributes.js";
+import { notifyAuctionsChanged } from "./auctionEvents.js";
 
 dotenv.config();
 
-const API = "https://api.hypixel.net/skyblock/auctions";
 const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
 
-function requireEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
-const HYPIXEL_KEY = requireEnv("HYPIXEL_API_KEY");
-
 // tune these if you want
-const PAGE_DELAY_MS = 90;          // small delay so you don't hammer API
+const FETCH_CONCURRENCY = Math.max(1, Number(process.env.INGEST_FETCH_CONCURRENCY || 4)); // pages in flight (API budget: HYPIXEL_RPM)
+const SWEEP_MAX_RESTARTS = 2;      // restart the sweep when lastUpdated moves underneath us
 const PER_SYNC_GRACE_MS = 60_000;  // auctions not seen in this snapshot are ended after grace (1 min)
 const FINALIZE_BATCH = 5000;       // ended->sales batch size
 const FINALIZE_MAX_LOOPS = 60;     // 60 * 5k = 300k max per sync (won't hit normally)
+const ENDED_FEED_GRACE_MS = 10 * 60_000; // how long a vanished BIN waits for auctions_ended before we give up on it
+const ENDED_FEED_POLL_MS = 30_000; // auctions_ended poll interval while a sync runs (the feed covers ~60s)
+const ENDED_FEED_WINDOW_MS = 60_000; // how far back one auctions_ended response reaches
+const ENDED_FEED_POLLS_KEEP_MS = 14 * 24 * 60 * 60_000; // older poll stamps are pruned (BINs that old end "unknown")
+const DAEMON_POLL_MS = Number(process.env.INGEST_POLL_MS || 20_000); // daemon: how often to check lastUpdated
+const INGEST_LOCK_KEY = 7_270_001; // pg advisory lock shared by every ingest process (cron, daemon, ingest_js)
+
+// auctions.end_reason / sales.end_reason
+const END_SOLD = "sold";
+const END_CANCELLED = "cancelled";
+const END_EXPIRED = "expired"; // ran out of time without a buyer
+const END_UNKNOWN = "unknown";
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-async function fetchJson(url, tries = 4) {
-  let lastErr = null;
-  for (let i = 0; i < tries; i++) {
-    try {
-      const res = await fetch(url, {
-        headers: { accept: "application/json" },
-      });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      return data;
-    } catch (e) {
-      lastErr = e;
-      await sleep(250 + i * 350);
-    }
+/* =========================
+   Auction source (live API by default, recorded dumps for offline runs)
+========================= */
+let source = null;
+
+function getSource() {
+  if (!source) {
+    source = createAuctionSource({
+      kind: process.env.INGEST_SOURCE || "live",
+      dir: process.env.INGEST_SOURCE_DIR || "",
+    });
   }
-  throw lastErr || new Error("fetch failed");
+  return source;
+}
+
+/**
+ * Swap the page source (see auctionSource.js), e.g. a dir/replay source for offline runs.
+ */
+export function setAuctionSource(src) {
+  source = src;
 }
 
 async function fetchPage(page) {
-  const url = `${API}?page=${page}&key=${encodeURIComponent(HYPIXEL_KEY)}`;
-  const data = await fetchJson(url, 4);
-  if (!data?.success) throw new Error(`Hypixel API error on page ${page}`);
-  return data;
+  return getSource().fetchPage(page);
+}
+
+async function fetchEnded() {
+  return getSource().fetchEnded();
 }
 
 function nonEmptyText(x) {
@@ -67,22 +86,33 @@ function nonEmptyText(x) {
   return s && s.trim() ? s.trim() : null;
 }
 
+/* =========================
+   Signatures (worker pool + item_bytes cache, see signaturePool.js)
+========================= */
+let sigPool = null;
+
+function getSignaturePool() {
+  if (!sigPool) sigPool = createSignaturePool();
+  return sigPool;
+}
+
+/**
+ * Stored signatures older than SIGNATURE_VERSION get rebuilt instead of copied.
+ */
+function isCurrentSignature(sig) {
+  return !!sig && signatureVersionOf(sig) >= SIGNATURE_VERSION;
+}
+
 /**
  * Build signature BUT NEVER crash sync.
  */
 async function safeBuildSignature({ itemName, lore, tier, itemBytes }) {
-  try {
-    const sig = await buildSignature({
-      itemName: itemName || "",
-      lore: lore || "",
-      tier: tier || "",
-      itemBytes: itemBytes || "",
-    });
-    return typeof sig === "string" && sig.length ? sig : null;
-  } catch (e) {
-    console.error("⚠️ buildSignature failed:", e?.message || e);
-    return null;
-  }
+  return getSignaturePool().build({
+    itemName: itemName || "",
+    lore: lore || "",
+    tier: tier || "",
+    itemBytes: itemBytes || "",
+  });
 }
 
 /**
@@ -92,8 +122,10 @@ async function safeBuildSignature({ itemName, lore, tier, itemBytes }) {
  * Notes:
  * - We compute signature in JS (can’t avoid that), but we only do it when:
  *   - auction is BIN, OR signature missing in DB (new uuid), OR item has bytes/lore
+ * - Signatures for the whole page are built concurrently on the worker pool;
+ *   bytes seen in an earlier sweep come straight from the pool's cache.
  */
-async function upsertAuctionsBulk(list, now) {
+export async function upsertAuctionsBulk(list, now) {
   if (!Array.isArray(list) || list.length === 0) return 0;
 
   // Build rows for bulk insert
@@ -110,24 +142,12 @@ async function upsertAuctionsBulk(list, now) {
     const start_ts = Number(a.start || 0);
     const end_ts = Number(a.end || 0);
     const starting_bid = Number(a.starting_bid || 0);
-    const highest_bid = Number(a.highest_bid || 0);
+    const highest_bid = Number(a.highest_bid_amount ?? a.highest_bid ?? 0); // the API calls it highest_bid_amount
     const tier = a.tier || null;
 
     const lore = nonEmptyText(a.item_lore);
     const bytes = nonEmptyText(a.item_bytes);
 
-    // Build signature for BIN auctions (helps your “real LBIN with filters”),
-    // and for anything that has bytes/lore (cheap-ish improvement).
-    let sig = null;
-    if (bin || lore || bytes) {
-      sig = await safeBuildSignature({
-        itemName,
-        lore: lore || "",
-        tier: tier || "",
-        itemBytes: bytes || "",
-      });
-    }
-
     rows.push({
       uuid,
       itemName,
@@ -141,12 +161,26 @@ async function upsertAuctionsBulk(list, now) {
       lore,
       bytes,
       now,
-      sig,
+      sig: null,
     });
   }
 
   if (!rows.length) return 0;
 
+  // Build signature for BIN auctions (helps your “real LBIN with filters”),
+  // and for anything that has bytes/lore (cheap-ish improvement).
+  await Promise.all(
+    rows.map(async (r) => {
+      if (!r.bin && !r.lore && !r.bytes) return;
+      r.sig = await safeBuildSignature({
+        itemName: r.itemName,
+        lore: r.lore || "",
+        tier: r.tier || "",
+        itemBytes: r.bytes || "",
+      });
+    })
+  );
+
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -158,7 +192,7 @@ async function upsertAuctionsBulk(list, now) {
 
     for (const r of rows) {
       placeholders.push(
-        `($${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},false)`
+        `($${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},$${idx++},false)`
       );
       values.push(
         r.uuid,
@@ -173,7 +207,8 @@ async function upsertAuctionsBulk(list, now) {
         r.lore,
         r.bytes,
         r.now,
-        r.sig
+        r.sig,
+        r.sig ? signatureVersionOf(r.sig) : null
       );
     }
 
@@ -181,7 +216,7 @@ async function upsertAuctionsBulk(list, now) {
       INSERT INTO auctions
         (uuid, item_name, item_key, bin, start_ts, end_ts,
          starting_bid, highest_bid, tier, item_lore, item_bytes,
-         last_seen_ts, signature, is_ended)
+         last_seen_ts, signature, signature_version, is_ended)
       VALUES
         ${placeholders.join(",")}
       ON CONFLICT (uuid) DO UPDATE SET
@@ -197,16 +232,28 @@ async function upsertAuctionsBulk(list, now) {
         item_bytes   = COALESCE(EXCLUDED.item_bytes, auctions.item_bytes),
         last_seen_ts = EXCLUDED.last_seen_ts,
         is_ended     = false,
-        -- Keep existing signature if present, otherwise fill it
+        -- Keep existing signature if present, otherwise fill it (or upgrade an older version)
         signature = CASE
   WHEN auctions.signature IS NULL OR auctions.signature = '' THEN EXCLUDED.signature
+  WHEN COALESCE(auctions.signature_version, 0) < COALESCE(EXCLUDED.signature_version, 0) THEN EXCLUDED.signature
   WHEN auctions.signature NOT LIKE '%pet_item:%' AND EXCLUDED.signature LIKE '%pet_item:%' THEN EXCLUDED.signature
   ELSE auctions.signature
+END,
+        signature_version = CASE
+  WHEN auctions.signature IS NULL OR auctions.signature = '' THEN EXCLUDED.signature_version
+  WHEN COALESCE(auctions.signature_version, 0) < COALESCE(EXCLUDED.signature_version, 0) THEN EXCLUDED.signature_version
+  WHEN auctions.signature NOT LIKE '%pet_item:%' AND EXCLUDED.signature LIKE '%pet_item:%' THEN EXCLUDED.signature_version
+  ELSE auctions.signature_version
 END
-
+      RETURNING uuid, signature
     `;
 
-    await client.query(sql, values);
+    const { rows: stored } = await client.query(sql, values);
+
+    // Only rows we just built a signature for can have a new one
+    const built = new Set(rows.filter((r) => r.sig).map((r) => r.uuid));
+    await upsertItemAttributes(client, "auctions", stored.filter((r) => built.has(r.uuid)), now);
+
     await client.query("COMMIT");
     return rows.length;
   } catch (e) {
@@ -226,40 +273,303 @@ async function markNotSeenInSnapshotAsEnded(now) {
   await pool.query(
     `
     UPDATE auctions
-    SET is_ended = true
+    SET is_ended = true, gone_ts = $2
     WHERE is_ended = false
       AND last_seen_ts < $1
     `,
-    [now - PER_SYNC_GRACE_MS]
+    [now - PER_SYNC_GRACE_MS, now]
   );
 }
 
 /**
- * Move ended auctions -> sales.
- * Also marks auctions.is_ended = true (kept).
+ * Record confirmed sales from the auctions_ended feed.
+ * The feed is authoritative: real price + buyer, so it overwrites anything
+ * finalizeEnded may have inferred for the same uuid.
+ * Matching auctions rows are marked ended + finalized so they're never guessed again.
  */
-async function finalizeEnded(now) {
+async function ingestEndedAuctions(list, now) {
+  if (!Array.isArray(list) || list.length === 0) return 0;
+
+  const ended = list
+    .map((e) => ({
+      uuid: String(e?.auction_id || "").trim(),
+      price: Number(e?.price || 0),
+      ended_ts: Number(e?.timestamp || 0) || now,
+      bin: !!e?.bin,
+      has_buyer: !!e?.buyer,
+      bytes: nonEmptyText(e?.item_bytes),
+    }))
+    .filter((e) => e.uuid && Number.isFinite(e.price) && e.price > 0);
+
+  if (!ended.length) return 0;
+
+  // Reuse what we already know about the listing (name/tier/lore/signature)
+  const { rows: known } = await pool.query(
+    `
+    SELECT uuid, item_name, item_key, tier, item_lore, item_bytes, signature
+    FROM auctions
+    WHERE uuid = ANY($1)
+    `,
+    [ended.map((e) => e.uuid)]
+  );
+  const byUuid = new Map(known.map((r) => [r.uuid, r]));
+
+  // Decode + sign before BEGIN, one row at a time: the feed only covers ~60s, so a single
+  // malformed item_bytes must cost that one sale, not roll back (and lose) the whole batch.
+  const prepared = [];
+  for (const e of ended) {
+    const a = byUuid.get(e.uuid);
+
+    let itemName = a?.item_name || "";
+    let lore = (a?.item_lore || "").toString();
+    let tier = a?.tier || "";
+    const bytes = e.bytes || (a?.item_bytes || "").toString() || null;
+
+    // Sold before we ever saw it in a snapshot: everything has to come from the bytes
+    if (!itemName && bytes) {
+      try {
+        const d = await readItemDisplay(bytes);
+        itemName = d.name;
+        lore = lore || d.lore;
+        tier = tier || d.tier;
+      } catch (err) {
+        console.warn(`⚠️ Skipping ended sale ${e.uuid}: unreadable item_bytes (${err?.message || err})`);
+        continue;
+      }
+    }
+    if (!itemName) continue;
+
+    const sig = isCurrentSignature(a?.signature)
+      ? a.signature
+      : await safeBuildSignature({
+        itemName,
+        lore,
+        tier,
+        itemBytes: bytes || "",
+      });
+
+    prepared.push({
+      e,
+      listed: !!a,
+      itemName,
+      itemKey: a?.item_key || canonicalItemKey(itemName) || null,
+      lore,
+      tier,
+      bytes,
+      sig,
+    });
+  }
+
+  if (!prepared.length) return 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const upsertSaleSql = `
+      INSERT INTO sales
+        (uuid, item_name, item_key, bin, final_price, ended_ts, tier, signature, item_lore, item_bytes,
+         source, has_buyer, end_reason, signature_version)
+      VALUES
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'ended_feed',$11,'${END_SOLD}',$12)
+      ON CONFLICT (uuid) DO UPDATE SET
+        bin         = EXCLUDED.bin,
+        final_price = EXCLUDED.final_price,
+        ended_ts    = EXCLUDED.ended_ts,
+        source      = EXCLUDED.source,
+        has_buyer   = EXCLUDED.has_buyer,
+        end_reason  = EXCLUDED.end_reason,
+        item_bytes  = COALESCE(sales.item_bytes, EXCLUDED.item_bytes),
+        signature   = CASE
+          WHEN COALESCE(sales.signature_version, 0) < COALESCE(EXCLUDED.signature_version, 0)
+            THEN EXCLUDED.signature
+          ELSE COALESCE(NULLIF(sales.signature, ''), EXCLUDED.signature)
+        END,
+        signature_version = GREATEST(sales.signature_version, EXCLUDED.signature_version)
+      RETURNING uuid, signature
+    `;
+
+    const markFinalSql = `
+      UPDATE auctions
+      SET is_ended = true, finalized_ts = $2, end_reason = '${END_SOLD}'
+      WHERE uuid = $1
+    `;
+
+    let recorded = 0;
+    const stored = [];
+
+    for (const { e, listed, itemName, itemKey, lore, tier, bytes, sig } of prepared) {
+      const { rows: saved } = await client.query(upsertSaleSql, [
+        e.uuid,
+        itemName,
+        itemKey,
+        e.bin,
+        e.price,
+        e.ended_ts,
+        tier || null,
+        sig,
+        lore || null,
+        bytes,
+        e.has_buyer,
+        sig ? signatureVersionOf(sig) : null,
+      ]);
+
+      stored.push(...saved);
+
+      if (listed) await client.query(markFinalSql, [e.uuid, now]);
+      recorded++;
+    }
+
+    await upsertItemAttributes(client, "sales", stored, now);
+
+    await client.query("COMMIT");
+    return recorded;
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Pull the ended feed and record it. Never crashes the sync: a missed poll leaves a gap in
+ * ended_feed_polls, and BINs that vanished inside it end as "unknown" (see inferEndReason).
+ */
+async function syncEndedFeed(now) {
+  try {
+    const data = await fetchEnded();
+    const n = await ingestEndedAuctions(data.auctions || [], now);
+    // only a poll whose sales are safely stored counts as coverage
+    await pool.query(`INSERT INTO ended_feed_polls (ts) VALUES ($1) ON CONFLICT DO NOTHING`, [now]);
+    if (n > 0) console.log(`💰 Ended feed sales: ${n}`);
+    return n;
+  } catch (e) {
+    console.error("⚠️ auctions_ended sync failed:", e?.message || e);
+    return 0;
+  }
+}
+
+/**
+ * Keep polling auctions_ended every ENDED_FEED_POLL_MS while a sync runs: the feed only covers
+ * ~60s, and a full sweep + finalize (or a whole cron run) easily takes longer, so polling only
+ * before and after the sweep loses every BIN sale in between.
+ * Recorded sources serve one fixed ended.json per snapshot, so there's nothing to poll for them.
+ * stop() waits for an in-flight poll and resolves to the sales the poller recorded.
+ */
+function startEndedFeedPoller() {
+  if (getSource().kind !== "live") return { stop: async () => 0 };
+
+  let recorded = 0;
+  let inFlight = null;
+  const timer = setInterval(() => {
+    if (inFlight) return; // a slow poll (429 backoff) just skips a beat
+    inFlight = syncEndedFeed(getSource().now())
+      .then((n) => { recorded += n; })
+      .finally(() => { inFlight = null; });
+  }, ENDED_FEED_POLL_MS);
+  timer.unref?.();
+
+  return {
+    async stop() {
+      clearInterval(timer);
+      if (inFlight) await inFlight;
+      const n = recorded;
+      recorded = 0;
+      return n;
+    },
+  };
+}
+
+/**
+ * When could a vanished BIN have sold: between its last sighting and the sync that found it
+ * gone (gone_ts), or its end_ts if that came first.
+ */
+function vanishWindow(r) {
+  const endTs = Number(r.end_ts || 0);
+  const goneTs = Number(r.gone_ts || 0) || endTs;
+  return { from: Number(r.last_seen_ts || 0), to: Math.min(endTs, goneTs) };
+}
+
+/**
+ * Was auctions_ended polled often enough to have listed a sale anywhere in [from, to]?
+ * polls: ascending poll timestamps, each one seeing sales in (ts - ENDED_FEED_WINDOW_MS, ts].
+ */
+function endedFeedCovered(polls, from, to) {
+  let coveredTo = from;
+  for (const ts of polls) {
+    if (ts < from) continue;
+    if (ts - ENDED_FEED_WINDOW_MS > coveredTo) return false;
+    coveredTo = ts;
+    if (coveredTo >= to) return true;
+  }
+  return false;
+}
+
+/**
+ * Why did an auction that never showed up in auctions_ended go away?
+ * - bid auction past end_ts with a bid   -> sold (highest_bid)
+ * - bid auction past end_ts without bids -> expired
+ * - BIN that vanished while the feed wasn't watching -> unknown (it may well have sold)
+ * - BIN seen until (about) its end_ts    -> expired
+ * - BIN gone well before its end_ts      -> cancelled
+ * polls: ascending ended_feed_polls stamps around the BIN's vanish window.
+ */
+function inferEndReason(r, polls) {
+  const endTs = Number(r.end_ts || 0);
+  if (!r.bin) return Number(r.highest_bid) > 0 ? END_SOLD : END_EXPIRED;
+  if (endTs <= 0) return END_UNKNOWN;
+
+  const { from, to } = vanishWindow(r);
+  if (!endedFeedCovered(polls, from, to)) return END_UNKNOWN;
+
+  const lastSeen = Number(r.last_seen_ts || 0);
+  return endTs - lastSeen <= ENDED_FEED_GRACE_MS ? END_EXPIRED : END_CANCELLED;
+}
+
+/**
+ * Finalize auctions that are gone from the snapshot or past end_ts,
+ * stamping auctions.end_reason (see inferEndReason).
+ *
+ * Only bid auctions that ended with a bid are *inferred* as sales (highest_bid is the price).
+ * BINs are never inferred: a real BIN sale arrives through the auctions_ended feed.
+ * A BIN still unconfirmed after ENDED_FEED_GRACE_MS was cancelled or expired if the feed was
+ * polled throughout its vanish window, "unknown" otherwise; either way it is just marked
+ * finalized and kept out of sales.
+ */
+export async function finalizeEnded(now) {
   const { rows } = await pool.query(
     `
     SELECT a.uuid, a.item_name, a.item_key, a.bin, a.end_ts, a.starting_bid, a.highest_bid,
-           a.tier, a.item_lore, a.item_bytes, a.signature
+           a.tier, a.item_lore, a.item_bytes, a.signature, a.last_seen_ts, a.gone_ts
     FROM auctions a
-    WHERE a.end_ts > 0
-      AND a.end_ts <= $1
+    WHERE a.finalized_ts IS NULL
       AND (
-        a.is_ended = false
-        OR (
-          a.is_ended = true
-          AND NOT EXISTS (SELECT 1 FROM sales s WHERE s.uuid = a.uuid)
-        )
+        (a.bin = false AND a.end_ts > 0 AND a.end_ts <= $1)
+        OR (a.bin = true AND a.is_ended = true AND a.last_seen_ts < $3)
       )
+      AND NOT EXISTS (SELECT 1 FROM sales s WHERE s.uuid = a.uuid)
     ORDER BY a.end_ts ASC
     LIMIT $2
     `,
-    [now, FINALIZE_BATCH]
+    [now, FINALIZE_BATCH, now - ENDED_FEED_GRACE_MS]
   );
 
-  if (!rows.length) return 0;
+  if (!rows.length) return { processed: 0, moved: 0 };
+
+  // feed polls spanning every BIN's vanish window (inferEndReason)
+  let polls = [];
+  const windows = rows.filter((r) => r.bin).map(vanishWindow);
+  if (windows.length) {
+    const { rows: pollRows } = await pool.query(
+      `SELECT ts FROM ended_feed_polls WHERE ts >= $1 AND ts <= $2 ORDER BY ts`,
+      [
+        Math.min(...windows.map((w) => w.from)),
+        Math.max(...windows.map((w) => w.to)) + ENDED_FEED_WINDOW_MS,
+      ]
+    );
+    polls = pollRows.map((p) => Number(p.ts));
+  }
 
   const client = await pool.connect();
   try {
@@ -267,60 +577,63 @@ async function finalizeEnded(now) {
 
     const upsertSaleSql = `
       INSERT INTO sales
-        (uuid, item_name, item_key, bin, final_price, ended_ts, tier, signature, item_lore, item_bytes)
+        (uuid, item_name, item_key, bin, final_price, ended_ts, tier, signature, item_lore, item_bytes,
+         source, has_buyer, end_reason, signature_version)
       VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-      ON CONFLICT (uuid) DO UPDATE SET
-        item_name   = EXCLUDED.item_name,
-        item_key    = EXCLUDED.item_key,
-        bin         = EXCLUDED.bin,
-        final_price = EXCLUDED.final_price,
-        ended_ts    = EXCLUDED.ended_ts,
-        tier        = EXCLUDED.tier,
-        signature = CASE
-  WHEN sales.signature IS NULL OR sales.signature = '' THEN EXCLUDED.signature
-  WHEN sales.signature NOT LIKE '%pet_item:%' AND EXCLUDED.signature LIKE '%pet_item:%' THEN EXCLUDED.signature
-  ELSE sales.signature
-END
-
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'inferred',true,'${END_SOLD}',$11)
+      ON CONFLICT (uuid) DO NOTHING
+      RETURNING uuid, signature
     `;
 
-    const markEndedSql = `UPDATE auctions SET is_ended = true WHERE uuid=$1`;
+    const markFinalSql = `
+      UPDATE auctions
+      SET is_ended = true, finalized_ts = $2, end_reason = $3
+      WHERE uuid=$1
+    `;
 
     let moved = 0;
+    const stored = [];
 
     for (const r of rows) {
-      const price = Number(r.bin ? r.starting_bid : r.highest_bid) || 0;
-      const itemKey = r.item_key || canonicalItemKey(r.item_name || "") || null;
-
-      const sig =
-        r.signature ||
-        (await safeBuildSignature({
-          itemName: r.item_name || "",
-          lore: (r.item_lore || "").toString(),
-          tier: r.tier || "",
-          itemBytes: (r.item_bytes || "").toString(),
-        }));
-
-      await client.query(upsertSaleSql, [
-        r.uuid,
-        r.item_name || "",
-        itemKey,
-        !!r.bin,
-        price,
-        Number(r.end_ts || 0),
-        r.tier || null,
-        sig,
-        r.item_lore || null,
-        r.item_bytes || null,
-      ]);
+      const price = Number(r.highest_bid) || 0;
+      const reason = inferEndReason(r, polls);
+
+      if (reason === END_SOLD) {
+        const itemKey = r.item_key || canonicalItemKey(r.item_name || "") || null;
+
+        const sig = isCurrentSignature(r.signature)
+          ? r.signature
+          : await safeBuildSignature({
+            itemName: r.item_name || "",
+            lore: (r.item_lore || "").toString(),
+            tier: r.tier || "",
+            itemBytes: (r.item_bytes || "").toString(),
+          });
+
+        const { rows: saved } = await client.query(upsertSaleSql, [
+          r.uuid,
+          r.item_name || "",
+          itemKey,
+          false,
+          price,
+          Number(r.end_ts || 0),
+          r.tier || null,
+          sig,
+          r.item_lore || null,
+          r.item_bytes || null,
+          sig ? signatureVersionOf(sig) : null,
+        ]);
+        stored.push(...saved);
+        moved++;
+      }
 
-      await client.query(markEndedSql, [r.uuid]);
-      moved++;
+      await client.query(markFinalSql, [r.uuid, now, reason]);
     }
 
+    await upsertItemAttributes(client, "sales", stored, now);
+
     await client.query("COMMIT");
-    return moved;
+    return { processed: rows.length, moved };
   } catch (e) {
     try { await client.query("ROLLBACK"); } catch {}
     throw e;
@@ -368,41 +681,95 @@ async function backfillSalesItemKeys({ batch = 20000 } = {}) {
   }
 }
 
+/**
+ * Fetch pages 1..totalPages-1 with FETCH_CONCURRENCY in flight and upsert them as they land.
+ * Upserts are serialized (one transaction at a time) so pages racing each other can't deadlock.
+ * Stops early and reports `changedTo` when a page belongs to a newer snapshot than `first`.
+ */
+async function sweepPages(first, now) {
+  const totalPages = Math.max(1, Number(first.totalPages || 1));
+  const snapshotTs = Number(first.lastUpdated || 0);
+
+  let upserted = await upsertAuctionsBulk(first.auctions || [], now);
+  let nextPage = 1;
+  let changedTo = null;
+  let writes = Promise.resolve();
+
+  async function worker() {
+    while (!changedTo) {
+      const p = nextPage++;
+      if (p >= totalPages) return;
+
+      const data = await fetchPage(p);
+      const pageTs = Number(data.lastUpdated || 0);
+      if (snapshotTs && pageTs && pageTs !== snapshotTs) {
+        changedTo = pageTs;
+        return;
+      }
+
+      writes = writes.then(async () => {
+        upserted += await upsertAuctionsBulk(data.auctions || [], now);
+      });
+      await writes; // backpressure: don't fetch further ahead than the DB can write
+    }
+  }
+
+  const workers = Math.min(FETCH_CONCURRENCY, totalPages - 1);
+  await Promise.all(Array.from({ length: workers }, () => worker()));
+  await writes;
+
+  return { totalPages, upserted, changedTo };
+}
+
 /**
  * Main sync:
  * - fetch first page -> totalPages
- * - fetch every page -> upsert auctions
- * - mark missing-from-snapshot as ended (LBIN correctness)
+ * - fetch every page (bounded concurrency) -> upsert auctions
+ * - restart when the snapshot's lastUpdated changes mid-sweep
+ * - mark missing-from-snapshot as ended (LBIN correctness, clean sweeps only)
+ * - record confirmed sales from auctions_ended (before + after the sweep, it only covers ~60s;
+ *   trackedSync also polls it on a timer in between)
  * - finalize ended -> sales
+ *
+ * Pass `first` (page 0) when the caller already fetched it (daemon lastUpdated check).
+ * Callers must hold the ingest lock; use syncOnce() from outside this file.
  */
-export async function syncOnce() {
-  const now = Date.now();
+async function runSync({ first = null } = {}) {
+  const src = getSource();
+  await src.prime?.(); // recorded sources read their clock from page 0
+  const now = src.now();
 
 // ... your fetch + upserts + markNotSeenInSnapshotAsEnded ...
 
 await forceEndByTime(now);
 
-  const first = await fetchPage(0);
-  const totalPages = Math.max(1, Number(first.totalPages || 1));
-  console.log(`📦 Sync: ${totalPages} pages`);
+  let confirmed = await syncEndedFeed(now);
+
+  if (!first) first = await fetchPage(0);
+  console.log(`📦 Sync: ${Math.max(1, Number(first.totalPages || 1))} pages (x${FETCH_CONCURRENCY})`);
 
   let upserted = 0;
+  let sweep = null;
 
-  // upsert page 0
-  upserted += await upsertAuctionsBulk(first.auctions || [], now);
+  for (let attempt = 0; ; attempt++) {
+    sweep = await sweepPages(first, now);
+    upserted += sweep.upserted;
+    if (!sweep.changedTo) break;
 
-  // upsert remaining pages
-  for (let p = 1; p < totalPages; p++) {
-    const data = await fetchPage(p);
-    upserted += await upsertAuctionsBulk(data.auctions || [], now);
-    if (PAGE_DELAY_MS > 0) await sleep(PAGE_DELAY_MS);
-    
+    if (attempt >= SWEEP_MAX_RESTARTS) {
+      console.warn(`⚠️ Snapshot kept changing mid-sweep, keeping a mixed sweep`);
+      break;
+    }
+    console.log(`🔄 Snapshot changed mid-sweep (${first.lastUpdated} -> ${sweep.changedTo}), restarting`);
+    first = await fetchPage(0);
   }
+
+  const totalPages = sweep.totalPages;
     async function forceEndByTime(now) {
   const { rowCount } = await pool.query(
     `
     UPDATE auctions
-    SET is_ended = true
+    SET is_ended = true, gone_ts = $1
     WHERE is_ended = false
       AND end_ts IS NOT NULL
       AND end_ts < $1
@@ -411,23 +778,261 @@ await forceEndByTime(now);
   );
   console.log(`🧹 forceEndByTime ended: ${rowCount}`);
 }
-  // 🔥 KEY LBIN FIX: end auctions that weren't seen in this full snapshot
-  await markNotSeenInSnapshotAsEnded(now);
+  // 🔥 KEY LBIN FIX: end auctions that weren't seen in this full snapshot.
+  // A mixed sweep can miss auctions that moved between pages, so don't trust it for this.
+  if (!sweep.changedTo) await markNotSeenInSnapshotAsEnded(now);
+  else console.warn("⚠️ Skipping not-seen -> ended on a mixed sweep");
+
+  // confirmed sales first, so finalizeEnded never writes off a BIN that actually sold
+  confirmed += await syncEndedFeed(src.now());
 
   // finalize ended -> sales
   let totalFinalized = 0;
   for (let i = 0; i < FINALIZE_MAX_LOOPS; i++) {
-    const n = await finalizeEnded(now);
-    totalFinalized += n;
-    if (n === 0) break;
+    const { processed, moved } = await finalizeEnded(now);
+    totalFinalized += moved;
+    if (processed === 0) break;
     await sleep(30);
   }
 
   // light maintenance
   const filled = await backfillSalesItemKeys({ batch: 20000 });
   if (filled > 0) console.log(`🧩 Backfilled sales.item_key: ${filled}`);
+  await pool.query(`DELETE FROM ended_feed_polls WHERE ts < $1`, [now - ENDED_FEED_POLLS_KEEP_MS]);
+
+  console.log(
+    `✅ Upserted live: ${upserted} | Confirmed sales: ${confirmed} | Inferred bid sales: ${totalFinalized}`
+  );
+
+  const sigStats = getSignaturePool().stats();
+  console.log(
+    `🧬 Signatures: ${sigStats.hits} cached / ${sigStats.misses} parsed (${sigStats.failures} failed, ${sigStats.workers} workers)`
+  );
 
-  console.log(`✅ Upserted live: ${upserted} | Finalized sales: ${totalFinalized}`);
+  return {
+    lastUpdated: Number(first.lastUpdated || 0) || null,
+    pages: totalPages,
+    upserted,
+    confirmed,
+    inferred: totalFinalized,
+    sigCache: sigStats,
+  };
+}
+
+/* =========================
+   Ingest lock + state
+========================= */
+
+/**
+ * Run fn while holding the ingest advisory lock.
+ * Session-level lock on a dedicated client: if the process dies, Postgres drops it.
+ * Returns { locked: false } when another ingest is already running.
+ */
+async function withIngestLock(fn) {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS ok", [INGEST_LOCK_KEY]);
+    if (!rows[0]?.ok) return { locked: false, result: null };
+
+    try {
+      return { locked: true, result: await fn() };
+    } finally {
+      try { await client.query("SELECT pg_advisory_unlock($1)", [INGEST_LOCK_KEY]); } catch {}
+    }
+  } finally {
+    client.release();
+  }
+}
+
+const ingestState = {
+  mode: "once",
+  pid: process.pid,
+  started_ts: Date.now(),
+  running: false,
+  last_poll_ts: null,
+  last_sync_ts: null,
+  last_sync_ms: null,
+  last_updated: null, // Hypixel lastUpdated of the last synced snapshot
+  pages: 0,
+  upserted: 0,
+  confirmed: 0,
+  inferred: 0,
+  sig_cache: null, // signature pool hits/misses (cumulative for the process)
+  syncs: 0,
+  skipped_unchanged: 0,
+  lock_busy: 0,
+  errors: 0,
+  last_error: null,
+  last_error_ts: null,
+};
+
+export function getIngestState() {
+  return { ...ingestState };
+}
+
+/**
+ * Persist state to ingest_state so server.js (another process) can show it.
+ * There is one 'main' row, so only call this while holding the ingest lock: anyone else would
+ * overwrite the lock holder's state (last_sync_ts drives the watches).
+ */
+async function saveIngestState() {
+  try {
+    await pool.query(
+      `
+      INSERT INTO ingest_state (id, state, updated_ts)
+      VALUES ('main', $1, $2)
+      ON CONFLICT (id) DO UPDATE SET
+        state      = EXCLUDED.state,
+        updated_ts = EXCLUDED.updated_ts
+      `,
+      [JSON.stringify(ingestState), Date.now()]
+    );
+  } catch (e) {
+    console.error("⚠️ saving ingest_state failed:", e?.message || e);
+  }
+}
+
+function recordSyncError(e) {
+  ingestState.errors++;
+  ingestState.last_error = String(e?.message || e);
+  ingestState.last_error_ts = Date.now();
+}
+
+async function trackedSync(opts) {
+  const t0 = Date.now();
+  ingestState.running = true;
+  await saveIngestState();
+
+  const endedPoller = startEndedFeedPoller();
+  try {
+    const stats = await runSync(opts);
+    stats.confirmed += await endedPoller.stop();
+    Object.assign(ingestState, {
+      last_sync_ts: t0,
+      last_sync_ms: Date.now() - t0,
+      last_updated: stats.lastUpdated,
+      pages: stats.pages,
+      upserted: stats.upserted,
+      confirmed: stats.confirmed,
+      inferred: stats.inferred,
+      sig_cache: stats.sigCache,
+      syncs: ingestState.syncs + 1,
+    });
+    // save before notifying: the server's watches only re-evaluate once last_sync_ts moves
+    ingestState.running = false;
+    await saveIngestState();
+    await notifyAuctionsChanged(pool, "sync");
+    return stats;
+  } finally {
+    await endedPoller.stop();
+    ingestState.running = false;
+  }
+}
+
+/**
+ * trackedSync under the ingest lock. Every ingest_state write happens inside the callback, so
+ * it can't land after the lock is released (when another ingest may already own the row):
+ * a failed sync saves its error while still holding the lock, a busy lock saves nothing.
+ */
+async function lockedSync(opts) {
+  return withIngestLock(async () => {
+    try {
+      return await trackedSync(opts);
+    } catch (e) {
+      recordSyncError(e);
+      await saveIngestState();
+      throw e;
+    }
+  });
+}
+
+/**
+ * One locked sync (cron / ingest_js entry point).
+ * Returns null without syncing when another ingest holds the lock.
+ */
+export async function syncOnce() {
+  const { locked, result } = await lockedSync();
+  if (!locked) {
+    ingestState.lock_busy++;
+    console.log("⏭️ Another ingest holds the lock, skipping this run");
+    return null;
+  }
+  return result;
+}
+
+/* =========================
+   Daemon mode
+========================= */
+
+/**
+ * Long-running ingest:
+ * - every DAEMON_POLL_MS fetch page 0 and compare its lastUpdated
+ * - snapshot changed -> full sync (reusing that page 0)
+ * - unchanged -> only poll auctions_ended (it covers ~60s, so keep it fed between syncs)
+ * Everything runs under the ingest lock, so a cron run can never overlap the daemon.
+ */
+export async function runDaemon() {
+  ingestState.mode = "daemon";
+
+  let stopping = false;
+  const stop = () => {
+    if (!stopping) console.log("🛑 Ingest daemon stopping after current step");
+    stopping = true;
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  console.log(`🔁 Ingest daemon polling every ${DAEMON_POLL_MS}ms`);
+
+  while (!stopping) {
+    const tickStart = Date.now();
+
+    try {
+      const first = await fetchPage(0);
+      ingestState.last_poll_ts = Date.now();
+
+      const lastUpdated = Number(first.lastUpdated || 0);
+      const changed = !lastUpdated || lastUpdated !== ingestState.last_updated;
+
+      const { locked } = await withIngestLock(async () => {
+        try {
+          if (changed) {
+            await trackedSync({ first });
+          } else {
+            ingestState.skipped_unchanged++;
+            if ((await syncEndedFeed(getSource().now())) > 0) await notifyAuctionsChanged(pool, "ended");
+          }
+        } catch (e) {
+          recordSyncError(e);
+          console.error("⚠️ Ingest daemon sync failed:", e?.message || e);
+        }
+        // still inside the lock: nobody else can be writing ingest_state
+        await saveIngestState();
+      });
+
+      // whoever holds the lock (a cron run) owns ingest_state until it's done
+      if (!locked) ingestState.lock_busy++;
+    } catch (e) {
+      // page 0 (or the lock) failed before anything ran; ingest_state is left alone
+      recordSyncError(e);
+      console.error("⚠️ Ingest daemon tick failed:", e?.message || e);
+    }
+
+    // interruptible wait so SIGTERM doesn't hang for a whole poll interval
+    const waitUntil = tickStart + DAEMON_POLL_MS;
+    while (!stopping && Date.now() < waitUntil) {
+      await sleep(Math.min(1000, waitUntil - Date.now()));
+    }
+  }
+}
+
+/**
+ * Close the DB pool and signature workers (tests; the CLI just exits).
+ */
+export async function closeIngest() {
+  await sigPool?.close();
+  sigPool = null;
+  await pool.end();
 }
 
 /**
@@ -458,26 +1063,62 @@ export async function rebuildAllSalesItemKeys(batch = 50000) {
     client.release();
   }
 }
-async function main() {
-  console.log("INGEST MAIN START");
+/* =========================
+   Replay mode
+========================= */
 
-  await syncOnce(); // <-- whatever your ingest function is named
-
-  console.log("INGEST MAIN DONE");
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch(err => {
-    console.error("INGEST FAILED", err);
-    process.exit(1);
-  });
+/**
+ * Run one sync per recorded snapshot, in order, on the snapshot's own clock.
+ * Reproduces LBIN/finalization behaviour offline (point DATABASE_URL at a scratch DB!).
+ */
+export async function runReplay() {
+  const src = getSource();
+  if (src.kind !== "replay") throw new Error(`runReplay needs a replay source, got "${src.kind}"`);
 
+  ingestState.mode = "replay";
 
+  do {
+    console.log(`🎞️ Replay snapshot ${src.index + 1}/${src.total}: ${src.snapshot}`);
+    const { locked } = await lockedSync();
+    if (!locked) throw new Error("Another ingest holds the lock, refusing to replay");
+  } while (src.next());
+}
 
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const hit = process.argv.find((a) => a.startsWith(prefix));
+  return hit ? hit.slice(prefix.length) : "";
+}
 
+async function main() {
+  const daemon = process.argv.includes("--daemon") || process.env.INGEST_MODE === "daemon";
 
+  const kind = argValue("source");
+  if (kind) {
+    setAuctionSource(createAuctionSource({ kind, dir: argValue("dir") || process.env.INGEST_SOURCE_DIR || "" }));
+  }
 
+  const replay = getSource().kind === "replay";
+  console.log(`INGEST MAIN START (${replay ? "replay" : daemon ? "daemon" : "once"}, source=${getSource().kind})`);
 
+  if (replay) await runReplay();
+  else if (daemon) await runDaemon();
+  else await syncOnce();
 
+  console.log("INGEST MAIN DONE");
+}
 
+// Only run when executed directly (ingest_js imports syncOnce)
+const isEntrypoint = !!process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isEntrypoint) {
+  main()
+    .then(async () => {
+      await pool.end();
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error("INGEST FAILED", err);
+      process.exit(1);
+    });
+}
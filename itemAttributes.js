@@ -0,0 +1,254 @@
+// itemAttributes.js
+// item_attributes: the signature of each auction / sale row stored as typed columns + JSONB enchants.
+// Keyed by (row_kind, uuid): a sale and the auction it came from can carry different signature versions.
+//
+// - written by ingest.js (and tools/resign.js) every time a signature is stored,
+//   always derived from that signature (attributesFromSignature) so the two never disagree
+// - read by server.js: attributeFilterSql() pushes star / rarity / cosmetic / enchant filters
+//   into the WHERE clause instead of pulling every row and re-parsing signature strings
+//
+// A sale/auction with no item_attributes row (legacy signature not re-signed yet) is never
+// filtered out in SQL; the JS strict matcher still decides for it.
+import { attributesFromSignature, signatureVersionOf, gemSummary } from "./parseLore.js";
+
+/* =========================
+   Write
+========================= */
+
+export const ROW_KINDS = ["sales", "auctions"];
+
+/**
+ * kind: "sales" | "auctions" (the table the signature was stored in).
+ * rows: [{ uuid, signature }] (empty signatures are skipped).
+ * db: pool or a client inside the caller's transaction.
+ */
+export async function upsertItemAttributes(db, kind, rows, now = Date.now()) {
+  if (!ROW_KINDS.includes(kind)) throw new Error(`Unknown item_attributes kind: ${kind}`);
+
+  const cols = {
+    uuid: [],
+    signature: [],
+    version: [],
+    tier: [],
+    dstars: [],
+    mstars: [],
+    stars10: [],
+    wi: [],
+    petLevel: [],
+    petItem: [],
+    dye: [],
+    skin: [],
+    petskin: [],
+    reforge: [],
+    recomb: [],
+    hpb: [],
+    gemSlots: [],
+    gemCount: [],
+    gemMin: [],
+    shards: [],
+    upgrades: [],
+    scrolls: [],
+    powerScroll: [],
+    petCandy: [],
+    petExp: [],
+    tierBoosted: [],
+    fullyGemmed: [],
+    enchants: [],
+  };
+
+  for (const r of rows || []) {
+    const sig = String(r?.signature || "").trim();
+    const attrs = attributesFromSignature(sig);
+    if (!r?.uuid || !attrs) continue;
+
+    cols.uuid.push(r.uuid);
+    cols.signature.push(sig);
+    cols.version.push(signatureVersionOf(sig));
+    cols.tier.push(attrs.tier || null);
+    cols.dstars.push(attrs.dstars);
+    cols.mstars.push(attrs.mstars);
+    cols.stars10.push(attrs.stars10);
+    cols.wi.push(attrs.witherImpact);
+    cols.petLevel.push(attrs.petLevel);
+    cols.petItem.push(attrs.petItem);
+    cols.dye.push(attrs.dye);
+    cols.skin.push(attrs.skin);
+    cols.petskin.push(attrs.petskin);
+    cols.reforge.push(attrs.reforge);
+    cols.recomb.push(attrs.recomb);
+    cols.hpb.push(attrs.hpb);
+
+    const gems = gemSummary(attrs);
+    cols.gemSlots.push(attrs.gemSlots);
+    cols.gemCount.push(gems.gemCount);
+    cols.gemMin.push(gems.gemMinQuality);
+    cols.fullyGemmed.push(gems.fullyGemmed);
+    cols.shards.push(JSON.stringify(attrs.attributeShards || {}));
+    cols.upgrades.push(JSON.stringify(attrs.upgrades || {}));
+    // text[] params can't nest, so the scroll list travels as one comma-joined string
+    cols.scrolls.push((attrs.scrolls || []).join(","));
+    cols.powerScroll.push(attrs.powerScroll);
+    cols.petCandy.push(attrs.petCandy);
+    cols.petExp.push(attrs.petExp);
+    cols.tierBoosted.push(attrs.tierBoosted);
+    cols.enchants.push(JSON.stringify(attrs.enchants));
+  }
+
+  if (!cols.uuid.length) return 0;
+
+  const { rowCount } = await db.query(
+    `
+    INSERT INTO item_attributes
+      (row_kind, uuid, signature, signature_version, tier, dstars, mstars, stars10, wither_impact,
+       pet_level, pet_item, dye, skin, petskin, enchants, reforge, recomb, hpb,
+       gem_slots, gem_count, gem_min_quality, attribute_shards, upgrades, scrolls, power_scroll,
+       pet_candy, pet_exp, tier_boosted, fully_gemmed, updated_ts)
+    SELECT $16::text, v.uuid, v.signature, v.signature_version, v.tier, v.dstars, v.mstars, v.stars10,
+           v.wither_impact, v.pet_level, v.pet_item, v.dye, v.skin, v.petskin, v.enchants, v.reforge,
+           v.recomb, v.hpb, v.gem_slots, v.gem_count, v.gem_min_quality, v.attribute_shards, v.upgrades,
+           COALESCE(string_to_array(NULLIF(v.scrolls, ''), ','), '{}'), v.power_scroll,
+           v.pet_candy, v.pet_exp, v.tier_boosted, v.fully_gemmed, $15::bigint
+    FROM unnest(
+      $1::text[], $2::text[], $3::smallint[], $4::text[], $5::smallint[], $6::smallint[], $7::smallint[],
+      $8::boolean[], $9::smallint[], $10::text[], $11::text[], $12::text[], $13::text[], $14::jsonb[],
+      $17::text[], $18::boolean[], $19::smallint[], $20::smallint[], $21::smallint[], $22::smallint[],
+      $23::jsonb[], $24::jsonb[], $25::text[], $26::text[],
+      $27::smallint[], $28::bigint[], $29::boolean[], $30::boolean[]
+    ) AS v(uuid, signature, signature_version, tier, dstars, mstars, stars10, wither_impact, pet_level,
+           pet_item, dye, skin, petskin, enchants, reforge, recomb, hpb, gem_slots, gem_count,
+           gem_min_quality, attribute_shards, upgrades, scrolls, power_scroll,
+           pet_candy, pet_exp, tier_boosted, fully_gemmed)
+    ON CONFLICT (row_kind, uuid) DO UPDATE SET
+      signature         = EXCLUDED.signature,
+      signature_version = EXCLUDED.signature_version,
+      tier              = EXCLUDED.tier,
+      dstars            = EXCLUDED.dstars,
+      mstars            = EXCLUDED.mstars,
+      stars10           = EXCLUDED.stars10,
+      wither_impact     = EXCLUDED.wither_impact,
+      pet_level         = EXCLUDED.pet_level,
+      pet_item          = EXCLUDED.pet_item,
+      dye               = EXCLUDED.dye,
+      skin              = EXCLUDED.skin,
+      petskin           = EXCLUDED.petskin,
+      enchants          = EXCLUDED.enchants,
+      reforge           = EXCLUDED.reforge,
+      recomb            = EXCLUDED.recomb,
+      hpb               = EXCLUDED.hpb,
+      gem_slots         = EXCLUDED.gem_slots,
+      gem_count         = EXCLUDED.gem_count,
+      gem_min_quality   = EXCLUDED.gem_min_quality,
+      attribute_shards  = EXCLUDED.attribute_shards,
+      upgrades          = EXCLUDED.upgrades,
+      scrolls           = EXCLUDED.scrolls,
+      power_scroll      = EXCLUDED.power_scroll,
+      pet_candy         = EXCLUDED.pet_candy,
+      pet_exp           = EXCLUDED.pet_exp,
+      tier_boosted      = EXCLUDED.tier_boosted,
+      fully_gemmed      = EXCLUDED.fully_gemmed,
+      updated_ts        = EXCLUDED.updated_ts
+    -- same signature -> nothing changed, skip the write
+    WHERE item_attributes.signature IS DISTINCT FROM EXCLUDED.signature
+    `,
+    [
+      cols.uuid,
+      cols.signature,
+      cols.version,
+      cols.tier,
+      cols.dstars,
+      cols.mstars,
+      cols.stars10,
+      cols.wi,
+      cols.petLevel,
+      cols.petItem,
+      cols.dye,
+      cols.skin,
+      cols.petskin,
+      cols.enchants,
+      now,
+      kind,
+      cols.reforge,
+      cols.recomb,
+      cols.hpb,
+      cols.gemSlots,
+      cols.gemCount,
+      cols.gemMin,
+      cols.shards,
+      cols.upgrades,
+      cols.scrolls,
+      cols.powerScroll,
+      cols.petCandy,
+      cols.petExp,
+      cols.tierBoosted,
+      cols.fullyGemmed,
+    ]
+  );
+  return rowCount;
+}
+
+/* =========================
+   Read (SQL pushdown for /api/recommend)
+========================= */
+
+/**
+ * WHERE fragment for rows joined as
+ *   LEFT JOIN item_attributes <alias> ON <alias>.row_kind = '<table>' AND <alias>.uuid = <table>.uuid
+ * Mirrors strictMatchQuality: anything it could rate PERFECT/PARTIAL passes
+ * (stars and enchant levels within 1), so it only ever drops sure NONEs.
+ * Appends its values to params; returns "" when there's nothing to push down.
+ */
+export function attributeFilterSql({ inputStars10 = 0, userEnchantsMap = null, filters = {} } = {}, params, alias = "ia") {
+  const conds = [];
+  const p = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+  const set = (v) => !!v && v !== "none";
+
+  const stars = Number(inputStars10) || 0;
+  if (stars > 0) conds.push(`ABS(${alias}.stars10 - ${p(stars)}) <= 1`);
+
+  if (filters.userWI) conds.push(`${alias}.wither_impact`);
+  if (filters.userRarity) conds.push(`${alias}.tier = ${p(filters.userRarity)}`);
+  if (set(filters.userDye)) conds.push(`${alias}.dye = ${p(filters.userDye)}`);
+  if (set(filters.userSkin)) conds.push(`${alias}.skin = ${p(filters.userSkin)}`);
+  if (set(filters.userPetSkin)) conds.push(`${alias}.petskin = ${p(filters.userPetSkin)}`);
+  if (set(filters.userPetItem)) conds.push(`${alias}.pet_item = ${p(filters.userPetItem)}`);
+  if (Number(filters.userPetLevel) > 0) conds.push(`${alias}.pet_level >= ${p(Number(filters.userPetLevel))}`);
+  if (set(filters.userReforge)) conds.push(`${alias}.reforge = ${p(filters.userReforge)}`);
+  if (filters.userRecomb) conds.push(`${alias}.recomb`);
+  if (Number(filters.userHpb) > 0) conds.push(`ABS(${alias}.hpb - ${p(Number(filters.userHpb))}) <= 1`);
+  if (Number(filters.userGemSlots) > 0) conds.push(`${alias}.gem_slots >= ${p(Number(filters.userGemSlots))}`);
+  if (filters.userFullyGemmed) conds.push(`${alias}.fully_gemmed`);
+  if (Number(filters.userGemQuality) > 0) {
+    conds.push(`(${alias}.gem_count > 0 AND ${alias}.gem_min_quality >= ${p(Number(filters.userGemQuality))})`);
+  }
+
+  for (const [nameKey, lvlRaw] of userEnchantsMap?.entries?.() || []) {
+    const lvl = Number(lvlRaw);
+    if (!Number.isFinite(lvl) || lvl <= 0) continue;
+    const k = p(nameKey);
+    // ? lets the GIN index narrow it down, ->> checks the level
+    conds.push(`(${alias}.enchants ? ${k} AND ABS((${alias}.enchants ->> ${k})::numeric - ${p(lvl)}) <= 1)`);
+  }
+
+  for (const [key, lvlRaw] of filters.userAttributes?.entries?.() || []) {
+    const lvl = Number(lvlRaw);
+    if (!Number.isFinite(lvl) || lvl <= 0) continue;
+    const k = p(key);
+    conds.push(`(${alias}.attribute_shards ? ${k} AND ABS((${alias}.attribute_shards ->> ${k})::numeric - ${p(lvl)}) <= 1)`);
+  }
+
+  if (filters.userScrolls?.length) conds.push(`${alias}.scrolls @> ${p(filters.userScrolls)}::text[]`);
+  if (filters.userPowerScroll) conds.push(`${alias}.power_scroll = ${p(filters.userPowerScroll)}`);
+  for (const [key, min] of filters.userUpgrades?.entries?.() || []) {
+    const k = p(key);
+    conds.push(`(${alias}.upgrades ? ${k} AND (${alias}.upgrades ->> ${k})::int >= ${p(min)})`);
+  }
+
+  if (filters.userNoCandy) conds.push(`${alias}.pet_candy = 0`);
+  if (filters.userNoTierBoost) conds.push(`NOT ${alias}.tier_boosted`);
+
+  if (!conds.length) return "";
+  return `(${alias}.uuid IS NULL OR (${conds.join(" AND ")}))`;
+}
@@ -3,8 +3,30 @@
 // cleanText, normKey, normalizeEnchantKey,
 // canonicalItemKey, canonicalItemDisplay,
 // parseEnchantList, displayEnchant,
-// tierFor,
-// buildSignature({ itemName, lore, tier, itemBytes })
+// tierFor, getEnchantCatalog, reloadEnchantTiers(), getEnchantTiersVersion(),
+// buildSignature({ itemName, lore, tier, itemBytes }),
+// buildItemRecord({ itemName, lore, tier, itemBytes }), attributesFromSignature(sig),
+// readItemDisplay(itemBytes), getReforgeList(),
+// GEM_QUALITIES, gemQualityRank(q), gemSummary(attrs),
+// parseAttributeList(text), displayAttribute(key, lvl),
+// UPGRADE_DEFS, parseUpgradeList(text),
+// SIGNATURE_VERSION, signatureVersionOf(sig)
+//
+// Signature versions:
+// - every signature starts with sv:<SIGNATURE_VERSION>; rows without it are version 0 (legacy)
+// - bump SIGNATURE_VERSION whenever buildSignature output changes, then run
+//   `npm run resign` to upgrade stored rows (tools/resign.js)
+// - v2: every stored signature has a matching item_attributes row (typed columns, see itemAttributes.js)
+// - v3: reforge:<key>, recomb:1, hpb:<0-15> (hot potato + fuming books)
+// - v4: gem_slots:<n>, gems:<type>.<quality>,... (socketed gemstones)
+// - v5: attr_<attribute>:<level> (attribute shards on Kuudra armor / equipment)
+// - v6: applied upgrades (<UPGRADE_DEFS key>:<count>), scrolls:<a>,<b>, power_scroll:<gem>;
+//       wither_impact now comes from the scroll list instead of a blade-name check
+// - v7: pet_candy:<n>, pet_exp:<exp>, tier_boost:1 (rarity from a Tier Boost held item)
+// - v8: pet_exp rounded down to 2 significant digits (exact exp made every pet signature unique);
+//       pet_item keys come from the lore label again, never from the petInfo.heldItem ID
+// - v9: gem_slots also counts empty free slots and gems_full:1 marks every slot filled, both from
+//       the slot catalog (data/gem-slots.json); NBT alone never shows an empty free slot
 //
 // NEW in v5:
 // - Signature now includes pet_item:<key> when detectable (so Legendary Ender Dragon Tier Boost can be filtered)
@@ -15,6 +37,9 @@
 
 
 import { gunzipSync } from "node:zlib";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
 import { parse as parseNbt } from "prismarine-nbt";
 
 
@@ -271,145 +296,83 @@ export function displayEnchant(nameKeyRaw, lvl) {
 
 
 /* =========================
-   Enchant tiering (YOUR LIST)
+   Enchant tiering (data/enchant-tiers.json)
+   {
+     "version": 1,
+     "tiers": ["AAA", "AA", "A", "B", "BB"],
+     "enchants": [{ "name": "Chimera", "tier": "AAA", "levels": [3, 4, 5] }, ...]
+   }
+   Entries apply in order: a later entry wins for the same enchant + level.
+   Loaded (and validated) on import; reloadEnchantTiers() swaps it in at runtime.
 ========================= */
-const ENCHANT_TIER_MAP = new Map();
-
-
-function addTier(name, tier, levels) {
-  const k = normalizeEnchantKey(name);
-  if (!k) return;
-  if (!ENCHANT_TIER_MAP.has(k)) ENCHANT_TIER_MAP.set(k, new Map());
-  const m = ENCHANT_TIER_MAP.get(k);
-  for (const lv of levels) m.set(Number(lv), String(tier).toUpperCase());
-}
-
-
-function addRange(name, tier, lo, hi) {
-  const arr = [];
-  for (let i = lo; i <= hi; i++) arr.push(i);
-  addTier(name, tier, arr);
-}
-
-
-/* AAA */
-addRange("Chimera", "AAA", 3, 5);
-addRange("Fatal Tempo", "AAA", 3, 5);
-addTier("Prosecute", "AAA", [6]);
-addTier("Smoldering", "AAA", [5]);
-addTier("Looting", "AAA", [5]);
-addTier("First Strike", "AAA", [5]);
-addTier("Critical", "AAA", [7]);
-addTier("Giant Killer", "AAA", [7]);
-addTier("Vicious", "AAA", [5]);
-addTier("Sharpness", "AAA", [7]);
-addTier("Ender Slayer", "AAA", [7]);
-addTier("Power", "AAA", [7]);
-addTier("Habanero Tactics", "AAA", [5]);
-addTier("Growth", "AAA", [7]);
-addTier("Protection", "AAA", [7]);
-addTier("Expertise", "AAA", [9, 10]);
-addTier("Compact", "AAA", [9, 10]);
-addTier("Efficiency", "AAA", [9, 10]);
-addTier("Champion", "AAA", [9, 10]);
-addTier("Divine Gift", "AAA", [3]);
-
-
-/* AA */
-addRange("Chimera", "AA", 1, 2);
-addTier("Fatal Tempo", "AA", [1]);
-addTier("Soul Eater", "AA", [5]);
-addRange("Duplex", "AA", 1, 5);
-addTier("Dragon Hunter", "AA", [5]);
-addTier("Vicious", "AA", [3, 4]);
-addTier("Snipe", "AA", [4]);
-addTier("Overload", "AA", [5]);
-addTier("Tabasco", "AA", [2]);
-addTier("Legion", "AA", [5]);
-addTier("Refrigerate", "AA", [5]);
-addTier("Counter-Strike", "AA", [5]);
-addTier("Expertise", "AA", [7, 8]);
-addTier("Flash", "AA", [5]);
-addTier("Champion", "AA", [6, 7, 8]);
-addTier("Divine Gift", "AA", [1, 2]);
-addTier("Cubism", "AA", [6]);
-
-
-/* A */
-addTier("One For All", "A", [1]);
-addTier("Execute", "A", [6]);
-addTier("Smite", "A", [7]);
-addTier("Giant Killer", "A", [6]);
-addTier("Syphon", "A", [4, 5]);
-addTier("Mana Vampire", "A", [4, 5]);
-addTier("Smoldering", "A", [4]);
-addTier("Tabasco", "A", [3]);
-addTier("Thunderlord", "A", [7]);
-addTier("Thunderbolt", "A", [6, 7]);
-addTier("Titan Killer", "A", [7]);
-addTier("Dragon Hunter", "A", [3, 4]);
-addTier("Ultimate Wise", "A", [5]);
-addTier("Wisdom", "A", [5]);
-addTier("Legion", "A", [1, 2, 3, 4]);
-addTier("Growth", "A", [6]);
-addTier("Rejuvenate", "A", [5]);
-addTier("Sugar Rush", "A", [3]);
-addTier("True Protection", "A", [1]);
-addRange("Champion", "A", 1, 5);
-addTier("Efficiency", "A", [6, 7, 8]);
-addTier("Compact", "A", [5, 6, 7, 8]);
-addTier("Strong Mana", "A", [5]);
-addTier("Ferocious Mana", "A", [5]);
-addTier("Divine Gift", "A", [1]);
-
-
-/* B */
-addTier("Protection", "B", [6]);
-addTier("Sharpness", "B", [6]);
-addTier("Toxophilite", "B", [1]);
-addTier("Ultimate Wise", "B", [1, 2, 3, 4]);
-addTier("Bank", "B", [5]);
-addTier("Rejuvenate", "B", [1, 2, 3, 4]);
-addTier("Feather Falling", "B", [6, 7, 8, 9, 10]);
-addTier("Infinite Quiver", "B", [10]);
-addTier("Turbo-Crops", "B", [5]);
-addTier("Vampirism", "B", [6]);
-addTier("First Strike", "B", [4]);
-addTier("Looting", "B", [4]);
-addTier("Life Steal", "B", [4, 5]);
-addTier("Luck", "B", [7]);
-addTier("Bane of Arthropods", "B", [7]);
-addTier("Pristine", "B", [1, 2, 3, 4]);
-addTier("Sunder", "B", [6]);
-addTier("Harvesting", "B", [6]);
-addTier("Smoldering", "B", [1, 2, 3]);
-addTier("Dragon Hunter", "B", [1, 2]);
-addTier("Experience", "B", [4]);
-addTier("Fire Aspect", "B", [3]);
-addTier("Compact", "B", [1, 2, 3, 4]);
-addTier("Expertise", "B", [1, 2, 3, 4]);
-
-
-/* BB */
-addTier("Bank", "BB", [1, 2, 3, 4]);
-addRange("No Pain No Gain", "BB", 1, 5);
-addRange("Ultimate Jerry", "BB", 1, 5);
-addRange("Combo", "BB", 1, 5);
-addTier("Bane of Arthropods", "BB", [6]);
-addTier("Smite", "BB", [6]);
-addTier("Luck", "BB", [6]);
-addTier("Scavenger", "BB", [4, 5]);
-addTier("Dragon Tracer", "BB", [6]);
-addTier("Punch", "BB", [2]);
-addTier("Rainbow", "BB", [1]);
-addTier("Replenish", "BB", [1]);
-addTier("Charm", "BB", [5]);
-addTier("Corruption", "BB", [5]);
-addTier("Sugar Rush", "BB", [1, 2]);
-addTier("Fortune", "BB", [4]);
-addTier("Critical", "BB", [6]);
-addTier("Ender Slayer", "BB", [6]);
-addTier("Power", "BB", [6]);
+const ENCHANT_TIERS_FILE = process.env.ENCHANT_TIERS_FILE
+  ? path.resolve(process.env.ENCHANT_TIERS_FILE)
+  : fileURLToPath(new URL("./data/enchant-tiers.json", import.meta.url));
+
+let ENCHANT_TIER_MAP = new Map();
+let ENCHANT_TIERS_VERSION = 0;
+
+
+/**
+ * Validate a parsed tier file and build the lookup map.
+ * Throws one error listing every problem, so a bad edit is fixed in one pass.
+ */
+function buildEnchantTierMap(data) {
+  const problems = [];
+  const map = new Map();
+
+  if (!data || typeof data !== "object") throw new Error("enchant tiers: file must contain a JSON object");
+  if (!Number.isInteger(data.version) || data.version < 1) problems.push("version must be a positive integer");
+
+  const tiers = Array.isArray(data.tiers) ? data.tiers.map((t) => String(t).toUpperCase()) : [];
+  if (!tiers.length) problems.push("tiers must be a non-empty array");
+  if (!Array.isArray(data.enchants)) problems.push("enchants must be an array");
+
+  (Array.isArray(data.enchants) ? data.enchants : []).forEach((e, i) => {
+    const at = `enchants[${i}]${e?.name ? ` (${e.name})` : ""}`;
+    const k = normalizeEnchantKey(e?.name ?? "");
+    const tier = String(e?.tier ?? "").toUpperCase();
+    const levels = Array.isArray(e?.levels) ? e.levels : [];
+
+    if (!k) problems.push(`${at}: name is missing`);
+    if (!tiers.includes(tier)) problems.push(`${at}: unknown tier "${e?.tier}"`);
+    if (!levels.length) problems.push(`${at}: levels must be a non-empty array`);
+    for (const lv of levels) {
+      if (!Number.isInteger(lv) || lv < 1 || lv > 20) problems.push(`${at}: bad level ${JSON.stringify(lv)}`);
+    }
+    if (!k || !tiers.includes(tier)) return;
+
+    if (!map.has(k)) map.set(k, new Map());
+    for (const lv of levels) if (Number.isInteger(lv)) map.get(k).set(lv, tier);
+  });
+
+  if (problems.length) throw new Error(`enchant tiers invalid:\n- ${problems.join("\n- ")}`);
+  return map;
+}
+
+
+/**
+ * (Re)load the tier file. On any error the current table stays in place and the error is thrown.
+ * Returns { version, enchants, file }.
+ */
+export function reloadEnchantTiers(file = ENCHANT_TIERS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`enchant tiers: cannot read ${file} (${e?.message || e})`);
+  }
+
+  ENCHANT_TIER_MAP = buildEnchantTierMap(data);
+  ENCHANT_TIERS_VERSION = data.version;
+  return { version: ENCHANT_TIERS_VERSION, enchants: ENCHANT_TIER_MAP.size, file };
+}
+
+export function getEnchantTiersVersion() {
+  return ENCHANT_TIERS_VERSION;
+}
+
+reloadEnchantTiers();
 
 
 export function tierFor(nameKey, lvl) {
@@ -500,6 +463,9 @@ function parsePetHeldItemFromLore(loreRaw) {
 
 function extractPetHeldItem(extra, loreRaw) {
   // Try ExtraAttributes first (names vary across versions)
+  // petInfo.heldItem is deliberately not a candidate: internal IDs ("COMBAT_SKILL_BOOST_EPIC")
+  // don't match the label keys ("combat_exp_boost") the catalog and stored signatures use.
+  // It only feeds the tier boost check in extractPetExtras.
   const candidates = [
     extra?.petItem,
     extra?.pet_item,
@@ -604,6 +570,83 @@ function findExtraAttributes(rootParsed) {
 }
 
 
+function findDisplay(rootParsed) {
+  const root = unwrap(rootParsed);
+  if (!root || typeof root !== "object") return null;
+
+
+  const stack = [root];
+  const seen = new Set();
+
+
+  while (stack.length) {
+    const cur = stack.pop();
+    if (!cur || typeof cur !== "object" || seen.has(cur)) continue;
+    seen.add(cur);
+
+
+    if (cur.display && typeof cur.display === "object") return cur.display;
+    if (cur.tag?.display && typeof cur.tag.display === "object") return cur.tag.display;
+
+
+    for (const v of Object.values(cur)) {
+      if (v && typeof v === "object") stack.push(v);
+    }
+  }
+  return null;
+}
+
+
+const LORE_RARITIES = [
+  "VERY SPECIAL", "ULTIMATE", "SPECIAL", "DIVINE", "MYTHIC",
+  "LEGENDARY", "EPIC", "RARE", "UNCOMMON", "COMMON",
+];
+
+
+function tierFromLoreLines(lines) {
+  // Rarity sits on the last non-empty lore line, e.g. "§6§lLEGENDARY DUNGEON SWORD"
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = stripMcColors(lines[i]).trim().toUpperCase();
+    if (!line) continue;
+    for (const r of LORE_RARITIES) {
+      if (line === r || line.startsWith(`${r} `)) return r.replace(/\s+/g, "_");
+    }
+    return "";
+  }
+  return "";
+}
+
+
+/**
+ * True when item_bytes decode to an item with ExtraAttributes, i.e. a signature built from
+ * them carries the NBT-only tokens (enchants, WI, pet data) and not just name + tier.
+ */
+export async function hasItemNbt(itemBytes) {
+  return !!findExtraAttributes(await parseItemBytes(itemBytes));
+}
+
+
+/**
+ * Read the display name, lore and rarity straight from item_bytes.
+ * Used for rows that only come with bytes (auctions_ended feed).
+ */
+export async function readItemDisplay(itemBytes) {
+  const rootParsed = await parseItemBytes(itemBytes);
+  const display = findDisplay(rootParsed);
+  if (!display) return { name: "", lore: "", tier: "" };
+
+
+  const loreLines = Array.isArray(display.Lore) ? display.Lore.map((l) => String(l ?? "")) : [];
+
+
+  return {
+    name: stripMcColors(display.Name || "").trim(),
+    lore: loreLines.join("\n"),
+    tier: tierFromLoreLines(loreLines),
+  };
+}
+
+
 /* =========================
    Extract features from ExtraAttributes
 ========================= */
@@ -708,6 +751,44 @@ function extractPetLevel(extra, itemName) {
 }
 
 
+function readPetInfo(extra) {
+  const raw = extra?.petInfo;
+  if (raw && typeof raw === "object") return raw;
+  if (typeof raw !== "string") return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+
+// 25,353,230 -> 25,000,000: close enough to price on, coarse enough that pets share signatures
+function petExpBucket(exp) {
+  if (!Number.isFinite(exp) || exp <= 0) return 0;
+  const step = 10 ** Math.max(0, Math.floor(Math.log10(exp)) - 1);
+  return Math.floor(exp / step) * step;
+}
+
+
+/**
+ * Pet extras that move the price: candy used (0-10), exp (2 significant digits), and whether
+ * the listed rarity comes from a Tier Boost held item (petInfo.heldItem).
+ */
+function extractPetExtras(extra, petItemKey) {
+  const info = readPetInfo(extra);
+
+  const candy = Math.trunc(Number(info?.candyUsed ?? 0));
+  const exp = Math.trunc(Number(info?.exp ?? 0));
+
+  return {
+    petCandy: Number.isFinite(candy) ? Math.max(0, Math.min(10, candy)) : 0,
+    petExp: petExpBucket(exp),
+    tierBoosted: /tier_boost/.test(String(info?.heldItem ?? "").toLowerCase()) || /tier_boost/.test(petItemKey || ""),
+  };
+}
+
+
 function extractCosmetics(extra) {
   const dye =
     typeof extra?.dye_item === "string" ? toSigKey(extra.dye_item.replace(/_/g, " ")) : "";
@@ -730,66 +811,509 @@ function extractCosmetics(extra) {
 }
 
 
-function extractWitherImpactFlag(itemName, rootParsed) {
-  const key = canonicalItemKey(itemName);
-  const isBlade = ["hyperion", "astraea", "scylla", "valkyrie"].some((w) => key.includes(w));
-  if (!isBlade) return false;
+/**
+ * Reforge, recombobulator and hot potato books.
+ * - reforge: ExtraAttributes.modifier, else the reforge prefix canonicalItemKey strips from the name
+ * - recomb: rarity_upgrades > 0
+ * - hpb: hot_potato_count total (0-10 hot potato books + 0-5 fuming)
+ */
+function extractUpgrades(extra, itemName) {
+  let reforge = typeof extra?.modifier === "string" ? toSigKey(extra.modifier.replace(/_/g, " ")) : "";
+  if (!reforge) {
+    const first = tokenize(itemName)[0] || "";
+    if (first && first !== "shiny" && REFORGE_PREFIXES.has(first)) reforge = toSigKey(first);
+  }
 
+  const upgrades = Number(extra?.rarity_upgrades ?? 0);
+  const hpbRaw = Number(extra?.hot_potato_count ?? 0);
 
-  const s = JSON.stringify(unwrap(rootParsed) || {});
-  return s.includes("IMPLOSION_SCROLL") && s.includes("SHADOW_WARP_SCROLL") && s.includes("WITHER_SHIELD_SCROLL");
+  return {
+    reforge: reforge || "none",
+    recomb: Number.isFinite(upgrades) && upgrades > 0,
+    hpb: Number.isFinite(hpbRaw) ? Math.max(0, Math.min(15, Math.trunc(hpbRaw))) : 0,
+  };
 }
 
 
 /* =========================
-   BUILD SIGNATURE
+   Gemstone slot catalog (data/gem-slots.json)
+   {
+     "version": 1,
+     "items": { "HYPERION": { "slots": ["SAPPHIRE_0", "COMBAT_0"], "free": [] }, ... }
+   }
+   Keyed by ExtraAttributes.id: slots = every slot the item has, free = the ones that never need
+   unlocking. Items missing here still get their visible slots counted, but are never "fully gemmed".
+   Loaded (and validated) on import; a catalog change only reaches stored rows through a re-sign.
+========================= */
+const GEM_SLOTS_FILE = process.env.GEM_SLOTS_FILE
+  ? path.resolve(process.env.GEM_SLOTS_FILE)
+  : fileURLToPath(new URL("./data/gem-slots.json", import.meta.url));
+
+const GEM_SLOT_ID = /^[A-Z]+_\d+$/;
+
+function buildGemSlotCatalog(data) {
+  const problems = [];
+  const map = new Map();
+
+  if (!data || typeof data !== "object") throw new Error("gem slots: file must contain a JSON object");
+  if (!Number.isInteger(data.version) || data.version < 1) problems.push("version must be a positive integer");
+  if (!data.items || typeof data.items !== "object" || Array.isArray(data.items)) {
+    problems.push("items must be an object keyed by item id");
+  }
+
+  for (const [id, e] of Object.entries(data.items || {})) {
+    const slots = Array.isArray(e?.slots) ? e.slots.map(String) : [];
+    const free = Array.isArray(e?.free) ? e.free.map(String) : [];
+
+    if (!/^[A-Z0-9_:]+$/.test(id)) problems.push(`${id}: item id must look like ExtraAttributes.id`);
+    if (!slots.length) problems.push(`${id}: slots must be a non-empty array`);
+    if (!Array.isArray(e?.free)) problems.push(`${id}: free must be an array (empty when every slot unlocks)`);
+    for (const s of slots) if (!GEM_SLOT_ID.test(s)) problems.push(`${id}: bad slot ${JSON.stringify(s)}`);
+    for (const s of free) if (!slots.includes(s)) problems.push(`${id}: free slot ${s} isn't in slots`);
+
+    map.set(id, { slots, free });
+  }
+
+  if (problems.length) throw new Error(`gem slots invalid:\n- ${problems.join("\n- ")}`);
+  return map;
+}
+
+function loadGemSlotCatalog(file = GEM_SLOTS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`gem slots: cannot read ${file} (${e?.message || e})`);
+  }
+  return buildGemSlotCatalog(data);
+}
+
+const GEM_SLOT_CATALOG = loadGemSlotCatalog();
+
+
+/* =========================
+   Gemstones (ExtraAttributes.gems)
+========================= */
+export const GEM_QUALITIES = ["rough", "flawed", "fine", "flawless", "perfect"];
+
+/** 0 = none, 1 = rough ... 5 = perfect */
+export function gemQualityRank(q) {
+  return GEM_QUALITIES.indexOf(String(q || "").toLowerCase()) + 1;
+}
+
+/**
+ * gems looks like:
+ *   { JASPER_0: "PERFECT", COMBAT_0: { quality: "FLAWLESS", uuid }, COMBAT_0_gem: "SAPPHIRE",
+ *     unlocked_slots: ["JASPER_0", "COMBAT_0"] }
+ * Universal slots (COMBAT_0, DEFENSIVE_0, ...) name their gem in <slot>_gem.
+ * Slots that never need unlocking aren't listed anywhere until something is socketed, so
+ * those come from the slot catalog: gemSlots = free slots + unlocked slots + filled slots,
+ * fullyGemmed = a catalogued item with every one of its slots filled.
+ */
+function extractGems(extra) {
+  const out = { gemSlots: 0, gems: [], fullyGemmed: false };
+  const known = GEM_SLOT_CATALOG.get(String(extra?.id ?? ""));
+  const gems = extra?.gems && typeof extra.gems === "object" ? extra.gems : {};
+
+  const slots = new Set(known?.free || []);
+  if (Array.isArray(gems.unlocked_slots)) for (const s of gems.unlocked_slots) slots.add(String(s));
+  const filled = new Set();
+
+  for (const [slot, v] of Object.entries(gems)) {
+    if (slot === "unlocked_slots" || slot.endsWith("_gem")) continue;
+
+    const quality = String((v && typeof v === "object" ? v.quality : v) ?? "").toLowerCase();
+    if (!gemQualityRank(quality)) continue;
+
+    const type = toSigKey(String(gems[`${slot}_gem`] ?? slot.replace(/_\d+$/, "")).replace(/_/g, " "));
+    if (!type) continue;
+
+    slots.add(slot);
+    filled.add(slot);
+    out.gems.push({ type, quality });
+  }
+
+  out.gemSlots = slots.size;
+  out.fullyGemmed = !!known && known.slots.every((s) => filled.has(s));
+  out.gems.sort((a, b) => a.type.localeCompare(b.type) || gemQualityRank(b.quality) - gemQualityRank(a.quality));
+  return out;
+}
+
+
+/* =========================
+   Attribute shards (Kuudra armor / equipment): ExtraAttributes.attributes
+   { mana_pool: 5, dominance: 3 } -> signature tokens attr_mana_pool:5|attr_dominance:3
+========================= */
+const ATTRIBUTE_TOKEN_PREFIX = "attr_";
+
+function extractAttributeShards(extra) {
+  const out = {};
+  const raw = extra?.attributes;
+  if (!raw || typeof raw !== "object") return out;
+
+  for (const [k, v] of Object.entries(raw)) {
+    const key = toSigKey(String(k).replace(/_/g, " "));
+    const lv = Math.trunc(Number(v));
+    if (key && Number.isFinite(lv) && lv > 0) out[key] = Math.min(10, lv);
+  }
+  return out;
+}
+
+/**
+ * "Mana Pool 5, Dominance III" -> Map { mana_pool => 5, dominance => 3 }
+ * (same input format as parseEnchantList, keys in signature form)
+ */
+export function parseAttributeList(text) {
+  const out = new Map();
+  for (const it of String(text ?? "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    const parts = cleanText(it).split(/\s+/).filter(Boolean);
+    if (parts.length < 2) continue;
+
+    const lvlTok = parts[parts.length - 1];
+    let lvl = Number(lvlTok);
+    if (!Number.isFinite(lvl)) lvl = romanToInt(lvlTok);
+    if (!Number.isFinite(lvl) || lvl <= 0) continue;
+
+    const key = toSigKey(parts.slice(0, -1).join(" "));
+    if (key) out.set(key, Math.max(out.get(key) || 0, Math.min(10, lvl)));
+  }
+  return out;
+}
+
+export function displayAttribute(key, lvl) {
+  const title = String(key || "")
+    .split("_")
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join(" ");
+  return `${title} ${Number(lvl)}`;
+}
+
+
+/** Reforge options for the UI ({ label, key }, key = signature form). */
+export function getReforgeList() {
+  return Array.from(REFORGE_PREFIXES)
+    .filter((r) => r !== "shiny")
+    .map((r) => ({
+      label: r.replace(/(^|[\s-])(\w)/g, (m, sep, c) => sep + c.toUpperCase()),
+      key: toSigKey(r),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+
+/* =========================
+   Applied upgrades + ability scrolls
+========================= */
+
+// Count-style upgrades: signature token <key>:<count>
+// read(extra) -> raw count; max caps junk values
+export const UPGRADE_DEFS = [
+  { key: "aow", label: "Art of War", max: 1, read: (x) => x?.art_of_war_count },
+  { key: "aop", label: "Art of Peace", max: 1, read: (x) => x?.artOfPeaceApplied },
+  { key: "fpb", label: "Fuming Potato Books", max: 5, read: (x) => Number(x?.hot_potato_count ?? 0) - 10 },
+  { key: "mana_disintegrator", label: "Mana Disintegrator", max: 10, read: (x) => x?.mana_disintegrator_count },
+  { key: "jalapeno", label: "Jalapeno Book", max: 1, read: (x) => x?.jalapeno_count },
+  { key: "wood_singularity", label: "Wood Singularity", max: 1, read: (x) => x?.wood_singularity_count },
+  { key: "ffd", label: "Farming for Dummies", max: 5, read: (x) => x?.farming_for_dummies_count },
+  { key: "bookworm", label: "Bookworm's Favorite Book", max: 5, read: (x) => x?.bookworm_books },
+  { key: "polarvoid", label: "Polarvoid Book", max: 5, read: (x) => x?.polarvoid },
+  { key: "etherwarp", label: "Etherwarp Conduit", max: 1, read: (x) => x?.ethermerge },
+  { key: "transmission", label: "Transmission Tuner", max: 4, read: (x) => x?.tuned_transmission },
+  { key: "divan_coating", label: "Divan Powder Coating", max: 1, read: (x) => x?.divan_powder_coating },
+];
+const UPGRADE_KEYS = new Set(UPGRADE_DEFS.map((d) => d.key));
+
+const WITHER_IMPACT_SCROLLS = ["implosion", "shadow_warp", "wither_shield"];
+
+function extractUpgradeCounts(extra) {
+  const out = {};
+  for (const d of UPGRADE_DEFS) {
+    const n = Math.trunc(Number(d.read(extra) ?? 0));
+    if (Number.isFinite(n) && n > 0) out[d.key] = Math.min(d.max, n);
+  }
+  return out;
+}
+
+/**
+ * ability_scroll: ["IMPLOSION_SCROLL", ...] -> ["implosion", ...]
+ * power_ability_scroll: "SAPPHIRE_POWER_SCROLL" -> "sapphire"
+ */
+function extractScrolls(extra) {
+  const list = Array.isArray(extra?.ability_scroll) ? extra.ability_scroll : [];
+  const scrolls = [
+    ...new Set(list.map((x) => toSigKey(String(x).replace(/_SCROLL$/i, "").replace(/_/g, " "))).filter(Boolean)),
+  ].sort();
+
+  const power =
+    typeof extra?.power_ability_scroll === "string"
+      ? toSigKey(extra.power_ability_scroll.replace(/_POWER_SCROLL$/i, "").replace(/_/g, " "))
+      : "";
+
+  return {
+    scrolls,
+    powerScroll: power || "none",
+    // Wither Impact = all three necron blade scrolls, whatever the item is called
+    witherImpact: WITHER_IMPACT_SCROLLS.every((x) => scrolls.includes(x)),
+  };
+}
+
+/**
+ * "aow, fpb:5" -> Map { aow => 1, fpb => 5 } (minimum counts, unknown keys dropped)
+ */
+export function parseUpgradeList(text) {
+  const out = new Map();
+  for (const it of String(text ?? "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    const [rawKey, rawN] = it.split(":");
+    const key = toSigKey(rawKey);
+    const def = UPGRADE_DEFS.find((d) => d.key === key || toSigKey(d.label) === key);
+    if (!def) continue;
+    const n = Math.trunc(Number(rawN ?? 1));
+    out.set(def.key, Math.max(1, Math.min(def.max, Number.isFinite(n) ? n : 1)));
+  }
+  return out;
+}
+
+
+
+/* =========================
+   Signature version
+========================= */
+export const SIGNATURE_VERSION = 9;
+
+
+export function signatureVersionOf(sig) {
+  const m = String(sig || "").match(/(?:^|\|)sv:(\d+)(?:\||$)/);
+  return m ? Number(m[1]) : 0;
+}
+
+
+/* =========================
+   Item attributes (structured form of a signature)
+   {
+     tier, dstars, mstars, stars10, witherImpact, petLevel,
+     petItem, dye, skin, petskin, reforge, // "none" when absent
+     recomb, hpb,
+     gemSlots, gems: [{ type, quality }],  // gemCount / gemMinQuality derived (0 = none, 5 = perfect)
+     fullyGemmed,                          // every catalogued slot filled (data/gem-slots.json)
+     attributeShards: { [attribute_key]: level },
+     upgrades: { [UPGRADE_DEFS key]: count }, scrolls: [scroll_key], powerScroll,
+     petCandy, petExp, tierBoosted,
+     enchants: { [normalizeEnchantKey]: level }
+   }
 ========================= */
-export async function buildSignature({ itemName = "", lore = "", tier = "", itemBytes = "" } = {}) {
+function emptyAttributes() {
+  return {
+    tier: "",
+    dstars: 0,
+    mstars: 0,
+    stars10: 0,
+    witherImpact: false,
+    petLevel: 0,
+    petItem: "none",
+    dye: "none",
+    skin: "none",
+    petskin: "none",
+    reforge: "none",
+    recomb: false,
+    hpb: 0,
+    gemSlots: 0,
+    gems: [],
+    fullyGemmed: false,
+    attributeShards: {},
+    upgrades: {},
+    scrolls: [],
+    powerScroll: "none",
+    petCandy: 0,
+    petExp: 0,
+    tierBoosted: false,
+    enchants: {},
+  };
+}
+
+
+async function extractItemAttributes({ itemName = "", lore = "", tier = "", itemBytes = "" } = {}) {
   const rootParsed = await parseItemBytes(itemBytes);
   const extra = findExtraAttributes(rootParsed) || {};
+  const attrs = emptyAttributes();
 
 
-  const enchMap = extractEnchants(extra);
-  const enchTokens = mapToEnchantTokens(enchMap);
+  for (const [k, v] of extractEnchants(extra)) attrs.enchants[k] = v;
 
 
   // Stars: prefer parsing from the visible itemName when present.
   // This avoids false-positive master stars from inconsistent NBT fields.
   const nameStars = parseStarsFromName(itemName);
   const extraStars = extractStars(extra, itemName);
-  const dstars = nameStars ? nameStars.dstars : extraStars.dstars;
-  const mstars = nameStars ? nameStars.mstars : extraStars.mstars;
-  const hasWI = extractWitherImpactFlag(itemName, rootParsed);
-  const petLevel = extractPetLevel(extra, itemName);
+  attrs.dstars = nameStars ? nameStars.dstars : extraStars.dstars;
+  attrs.mstars = nameStars ? nameStars.mstars : extraStars.mstars;
+  attrs.stars10 = Math.min(10, attrs.dstars + attrs.mstars);
+  attrs.petLevel = extractPetLevel(extra, itemName);
 
 
-  const { dye, skin, petskin } = extractCosmetics(extra);
+  Object.assign(attrs, extractCosmetics(extra));
+  Object.assign(attrs, extractUpgrades(extra, itemName));
+  Object.assign(attrs, extractGems(extra));
+  attrs.attributeShards = extractAttributeShards(extra);
+  attrs.upgrades = extractUpgradeCounts(extra);
+  Object.assign(attrs, extractScrolls(extra));
 
 
-  // NEW: pet held item
+  // Pet held item: only set if detected (missing stays "none" = unverifiable)
   const petHeld = extractPetHeldItem(extra, lore);
+  if (petHeld?.key) attrs.petItem = petHeld.key;
+  Object.assign(attrs, extractPetExtras(extra, petHeld?.key));
 
 
-  const tierKey = normKey(tier).replace(/\s+/g, "_");
+  attrs.tier = normKey(tier).replace(/\s+/g, "_");
+  return attrs;
+}
 
 
+function signatureFromAttributes(attrs) {
   const parts = [];
-  if (tierKey) parts.push(`tier:${tierKey}`);
-  if (dstars) parts.push(`dstars:${dstars}`);
-  if (mstars) parts.push(`mstars:${mstars}`);
-  if (hasWI) parts.push("wither_impact:1");
-  if (petLevel) parts.push(`pet_level:${petLevel}`);
-  if (dye && dye !== "none") parts.push(`dye:${dye}`);
-  if (skin && skin !== "none") parts.push(`skin:${skin}`);
-  if (petskin && petskin !== "none") parts.push(`petskin:${petskin}`);
+  if (attrs.tier) parts.push(`tier:${attrs.tier}`);
+  if (attrs.dstars) parts.push(`dstars:${attrs.dstars}`);
+  if (attrs.mstars) parts.push(`mstars:${attrs.mstars}`);
+  if (attrs.witherImpact) parts.push("wither_impact:1");
+  if (attrs.petLevel) parts.push(`pet_level:${attrs.petLevel}`);
+  if (attrs.dye && attrs.dye !== "none") parts.push(`dye:${attrs.dye}`);
+  if (attrs.skin && attrs.skin !== "none") parts.push(`skin:${attrs.skin}`);
+  if (attrs.petskin && attrs.petskin !== "none") parts.push(`petskin:${attrs.petskin}`);
+  if (attrs.petItem && attrs.petItem !== "none") parts.push(`pet_item:${attrs.petItem}`);
+  if (attrs.petCandy) parts.push(`pet_candy:${attrs.petCandy}`);
+  if (attrs.petExp) parts.push(`pet_exp:${attrs.petExp}`);
+  if (attrs.tierBoosted) parts.push("tier_boost:1");
+  if (attrs.reforge && attrs.reforge !== "none") parts.push(`reforge:${attrs.reforge}`);
+  if (attrs.recomb) parts.push("recomb:1");
+  if (attrs.hpb) parts.push(`hpb:${attrs.hpb}`);
+  if (attrs.gemSlots) parts.push(`gem_slots:${attrs.gemSlots}`);
+  if (attrs.gems?.length) parts.push(`gems:${attrs.gems.map((g) => `${g.type}.${g.quality}`).join(",")}`);
+  if (attrs.fullyGemmed) parts.push("gems_full:1");
+
+  for (const d of UPGRADE_DEFS) {
+    if (attrs.upgrades?.[d.key]) parts.push(`${d.key}:${attrs.upgrades[d.key]}`);
+  }
+  if (attrs.scrolls?.length) parts.push(`scrolls:${attrs.scrolls.join(",")}`);
+  if (attrs.powerScroll && attrs.powerScroll !== "none") parts.push(`power_scroll:${attrs.powerScroll}`);
 
+  for (const [k, v] of Object.entries(attrs.attributeShards || {}).sort((a, b) => a[0].localeCompare(b[0]))) {
+    parts.push(`${ATTRIBUTE_TOKEN_PREFIX}${k}:${v}`);
+  }
+
+  const enchTokens = mapToEnchantTokens(new Map(Object.entries(attrs.enchants || {})));
 
-  // Only include if detected (server can treat missing as unverifiable)
-  if (petHeld?.key) parts.push(`pet_item:${petHeld.key}`);
+  // Nothing detected -> no signature at all (callers treat it as unverifiable)
+  if (!parts.length && !enchTokens.length) return "";
 
 
-  return [...parts, ...enchTokens].join("|");
+  return [`sv:${SIGNATURE_VERSION}`, ...parts, ...enchTokens].join("|");
 }
 
 
+const SIG_ATTRIBUTE_KEYS = new Set([
+  "sv", "tier", "dstars", "mstars", "wither_impact", "pet_level", "pet_item", "dye", "skin", "petskin",
+  "reforge", "recomb", "hpb", "gem_slots", "gems", "gems_full", "scrolls", "power_scroll",
+  "pet_candy", "pet_exp", "tier_boost",
+  ...UPGRADE_KEYS,
+]);
 
+
+/**
+ * Parse a stored signature (any version) back into attributes.
+ * Empty signature -> null (nothing known about the item).
+ */
+export function attributesFromSignature(sig) {
+  const raw = String(sig || "").trim();
+  if (!raw) return null;
+
+  const attrs = emptyAttributes();
+  const int = (v, max) => {
+    const n = Math.trunc(Number(v));
+    return Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : 0;
+  };
+
+  for (const p of raw.split("|")) {
+    const i = p.indexOf(":");
+    if (i <= 0) continue;
+    const k = p.slice(0, i);
+    const v = p.slice(i + 1);
+
+    if (k === "tier") attrs.tier = v;
+    else if (k === "dstars") attrs.dstars = int(v, 5);
+    else if (k === "mstars") attrs.mstars = int(v, 5);
+    else if (k === "wither_impact") attrs.witherImpact = v === "1";
+    else if (k === "pet_level") attrs.petLevel = int(v, 200);
+    else if (k === "pet_item") attrs.petItem = v || "none";
+    else if (k === "dye") attrs.dye = v || "none";
+    else if (k === "skin") attrs.skin = v || "none";
+    else if (k === "petskin") attrs.petskin = v || "none";
+    else if (k === "reforge") attrs.reforge = v || "none";
+    else if (k === "recomb") attrs.recomb = v === "1";
+    else if (k === "hpb") attrs.hpb = int(v, 15);
+    else if (k === "gem_slots") attrs.gemSlots = int(v, 20);
+    else if (k === "gems") {
+      attrs.gems = v
+        .split(",")
+        .map((g) => {
+          const [type, quality] = g.split(".");
+          return { type: type || "", quality: quality || "" };
+        })
+        .filter((g) => g.type && gemQualityRank(g.quality));
+    }
+    else if (k === "gems_full") attrs.fullyGemmed = v === "1";
+    else if (k === "pet_candy") attrs.petCandy = int(v, 10);
+    else if (k === "pet_exp") attrs.petExp = int(v, Number.MAX_SAFE_INTEGER);
+    else if (k === "tier_boost") attrs.tierBoosted = v === "1";
+    else if (k === "scrolls") attrs.scrolls = v.split(",").filter(Boolean);
+    else if (k === "power_scroll") attrs.powerScroll = v || "none";
+    else if (UPGRADE_KEYS.has(k)) {
+      const n = int(v, UPGRADE_DEFS.find((d) => d.key === k).max);
+      if (n > 0) attrs.upgrades[k] = n;
+    }
+    else if (k.startsWith(ATTRIBUTE_TOKEN_PREFIX)) {
+      const lv = int(v, 10);
+      const key = k.slice(ATTRIBUTE_TOKEN_PREFIX.length);
+      if (key && lv > 0) attrs.attributeShards[key] = lv;
+    }
+    else if (!SIG_ATTRIBUTE_KEYS.has(k)) {
+      const lv = Number(v);
+      const nk = normalizeEnchantKey(k.replace(/_/g, " "));
+      if (nk && Number.isFinite(lv) && lv > 0) attrs.enchants[nk] = Math.max(attrs.enchants[nk] || 0, lv);
+    }
+  }
+
+  attrs.stars10 = Math.min(10, attrs.dstars + attrs.mstars);
+  return attrs;
+}
+
+
+/** Socketed gem count + worst socketed quality rank (0 when nothing is socketed) + fully gemmed flag. */
+export function gemSummary(attrs) {
+  const gems = attrs?.gems || [];
+  const ranks = gems.map((g) => gemQualityRank(g.quality));
+  return {
+    gemCount: gems.length,
+    gemMinQuality: ranks.length ? Math.min(...ranks) : 0,
+    fullyGemmed: !!attrs?.fullyGemmed,
+  };
+}
+
+
+/* =========================
+   BUILD SIGNATURE
+========================= */
+export async function buildSignature(args = {}) {
+  return signatureFromAttributes(await extractItemAttributes(args));
+}
+
+
+/**
+ * Signature + the same data as a structured record (item_attributes row).
+ * attributes is null when nothing was detected (signature "").
+ */
+export async function buildItemRecord(args = {}) {
+  const attributes = await extractItemAttributes(args);
+  const signature = signatureFromAttributes(attributes);
+  return { signature, attributes: signature ? attributes : null };
+}
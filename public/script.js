@@ -2,7 +2,7 @@
 // Changes in this rewrite:
 // ✅ Stars display: ALWAYS shows 5 ✪ icons when starred, plus master-star number (if any)
 // ✅ Removed Live Signature (Perfect Match) support entirely
-// ✅ Added Pet Item (optional) local autocomplete using PET_ITEM_LIST
+// ✅ Added Pet Item (optional) autocomplete (/api/petitems)
 // ✅ Keeps PARTIAL tier tag as data-tier="PARTIAL" for purple styling
 // ✅ Autocomplete dedupe + abort handling kept
 // ✅ WI toggle only shows for Wither Blades
@@ -11,73 +11,6 @@
 function $(id) { return document.getElementById(id); }
 
 
-/* =========================
-   Constants
-========================= */
-const PET_ITEM_LIST = [
-  "All Skills Exp Boost",
-  "All Skills Exp Super-Boost",
-  "Antique Remedies",
-  "Bejeweled Collar",
-  "Big Teeth",
-  "Bigger Teeth",
-  "Bingo Booster",
-  "Brown Bandana",
-  "Bubblegum",
-  "Burnt Texts",
-  "Combat Exp Boost",
-  "Cretan Urn",
-  "Crochet Tiger Plushie",
-  "Dead Cat Food",
-  "Dwarf Turtle Shelmet",
-  "Edible Seaweed",
-  "Eerie Toy",
-  "Eerie Treat",
-  "Exp Share",
-  "Exp Share Core",
-  "Fake Neuroscience Degree",
-  "Farming Exp Boost",
-  "Fishing Exp Boost",
-  "Flying Pig",
-  "Foraging Exp Boost",
-  "Four-Eyed Fish",
-  "Frog Treat",
-  "Gold Claws",
-  "Grandma's Knitting Needle",
-  "Green Bandana",
-  "Guardian Lucky Claw",
-  "Hardened Scales",
-  "Hephaestus Plushie",
-  "Hephaestus Relic",
-  "Hephaestus Remedies",
-  "Hephaestus Shelmet",
-  "Hephaestus Souvenir",
-  "Hephaestus Urn",
-  "Iron Claws",
-  "Jerry 3D Glasses",
-  "Lucky Clover",
-  "Mining Exp Boost",
-  "Minos Relic",
-  "Party Hat",
-  "Quick Claw",
-  "Radioactive Vial",
-  "Reaper Gem",
-  "Reinforced Scales",
-  "Saddle",
-  "Serrated Claws",
-  "Sharpened Claws",
-  "Simple Carrot Candy",
-  "Spooky Cupcake",
-  "Textbook",
-  "Tier Boost",
-  "Tier Boost Core",
-  "Titanium Minecart",
-  "Vampire Fang",
-  "Washed-up Souvenir",
-  "Yellow Bandana",
-];
-
-
 /* =========================
    Utils
 ========================= */
@@ -158,12 +91,6 @@ function normalizeTextForDedupe(s) {
 }
 
 
-function toKeyFromLabel(label) {
-  // used for local lists; server expects snake-ish keys in some places
-  return String(label || "").trim().toLowerCase().replace(/\s+/g, "_");
-}
-
-
 function prettyFromKey(k) {
   const x = String(k || "").trim();
   if (!x || x === "none" || x === "null") return "None";
@@ -596,75 +523,6 @@ function setupItemAutocomplete() {
 }
 
 
-/* =========================
-   Local autocomplete (Pet Item)
-========================= */
-function setupLocalAutocomplete({ inputId, boxId, list, limit = 30, onPick }) {
-  const input = $(inputId);
-  const box = $(boxId);
-  if (!input || !box) return;
-
-
-  let timer = null;
-
-
-  function hide() { box.style.display = "none"; box.innerHTML = ""; }
-
-
-  function render(items) {
-    box.innerHTML = "";
-    if (!items.length) return hide();
-    box.style.display = "block";
-    for (const label of items.slice(0, limit)) {
-      const div = document.createElement("div");
-      div.className = "item";
-      div.dataset.label = label;
-      div.dataset.key = toKeyFromLabel(label);
-      div.textContent = label;
-      box.appendChild(div);
-    }
-  }
-
-
-  input.addEventListener("keydown", () => { input.dataset.key = ""; });
-
-
-  input.addEventListener("input", () => {
-    clearTimeout(timer);
-    const q = input.value.trim().toLowerCase();
-    if (!q) return hide();
-
-
-    timer = setTimeout(() => {
-      const hits = [];
-      for (const it of list) {
-        if (it.toLowerCase().includes(q)) hits.push(it);
-        if (hits.length >= limit) break;
-      }
-      render(hits);
-    }, 60);
-  });
-
-
-  box.addEventListener("mousedown", (e) => {
-    const el = e.target.closest(".item");
-    if (!el) return;
-    e.preventDefault();
-    input.value = el.dataset.label || "";
-    input.dataset.key = el.dataset.key || "";
-    hide();
-    input.focus();
-    onPick?.(input.dataset.key || "");
-  });
-
-
-  document.addEventListener("click", (e) => {
-    if (e.target === input || box.contains(e.target)) return;
-    hide();
-  });
-}
-
-
 /* =========================
    Enchant autocomplete (comma segments)
 ========================= */
@@ -740,8 +598,9 @@ function setupEnchantAutocomplete() {
 
 /* =========================
    Recommend API call (NO liveSignature)
+   buildRecommendParams is also the query for the live LBIN stream.
 ========================= */
-async function fetchRecommended({
+function buildRecommendParams({
   item,
   stars10,
   enchants,
@@ -752,6 +611,20 @@ async function fetchRecommended({
   petlvl,
   petskin,
   petitem,
+  reforge,
+  recomb,
+  hpb,
+  gemslots,
+  gemq,
+  gemmed,
+  attributes,
+  scrolls,
+  powerscroll,
+  upgrades,
+  nocandy,
+  notierboost,
+  days,
+  halflife,
 }) {
   const params = new URLSearchParams();
   params.set("item", item);
@@ -766,6 +639,28 @@ async function fetchRecommended({
   if (petlvl) params.set("petlvl", String(petlvl));
   if (petskin) params.set("petskin", petskin);
   if (petitem) params.set("petitem", petitem);
+  if (reforge) params.set("reforge", reforge);
+  if (recomb) params.set("recomb", "1");
+  if (hpb) params.set("hpb", String(hpb));
+  if (gemslots) params.set("gemslots", String(gemslots));
+  if (gemq) params.set("gemq", gemq);
+  if (gemmed) params.set("gemmed", "1");
+  if (attributes) params.set("attributes", attributes);
+  if (scrolls) params.set("scrolls", scrolls);
+  if (powerscroll) params.set("powerscroll", powerscroll);
+  if (upgrades) params.set("upgrades", upgrades);
+  if (nocandy) params.set("nocandy", "1");
+  if (notierboost) params.set("notierboost", "1");
+  if (days) params.set("days", String(days));
+  if (halflife) params.set("halflife", String(halflife));
+  return params;
+}
+
+
+async function fetchRecommended(opts) {
+  const params = buildRecommendParams(opts);
+  params.set("unsold", "1");
+  params.set("points", "1");
 
 
   const res = await fetch(`/api/recommend?${params.toString()}`, { cache: "no-store" });
@@ -893,39 +788,542 @@ function renderAdvanced(outEl, data) {
       : "—";
 
 
-  const liveText = live
-    ? `${formatCoins(Number(live.price))} ${live.bin ? "(BIN)" : "(BID)"}`
+  // Cancelled / expired listings: evidence only, never part of the recommended price
+  const unsold = data?.unsold || null;
+  const unsoldText = unsold?.count
+    ? `${unsold.count} listing${unsold.count === 1 ? "" : "s"} · median ${formatShort(Number(unsold.median))}`
     : "—";
+  const unsoldSub = unsold?.count
+    ? `Lowest ${formatShort(Number(unsold.lowest))} · ${unsold.cancelled || 0} cancelled, ${unsold.expired || 0} expired`
+    : "";
 
 
-  const liveEnds = live?.end_ts
-    ? `Ends: ${new Date(Number(live.end_ts)).toLocaleString()}`
+  // Pool prices dropped by the server's outlier check (never part of median / range)
+  const rejected = Array.isArray(data?.outliers?.rejected) ? data.outliers.rejected : [];
+  const outlierText = rejected.length
+    ? `Ignored ${rejected.length} outlier${rejected.length === 1 ? "" : "s"}: ` +
+      rejected.map((o) => `${formatShort(Number(o.final_price))} (${o.reason})`).join("; ")
+    : "";
+  const trimmed = Number(data?.trimmed_mean);
+
+  const conf = data?.confidence || null;
+  const confBadge = conf && conf.level !== "none"
+    ? `<span class="conf-badge" data-level="${escapeHtml(conf.level)}" title="Confidence score (0–100)">` +
+      `${escapeHtml(conf.level[0].toUpperCase() + conf.level.slice(1))} confidence · ${escapeHtml(String(conf.score))}</span>`
+    : "";
+  const confList = Array.isArray(conf?.explanation) && conf.level !== "none"
+    ? `<ul class="conf-list">${conf.explanation.map((x) => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`
+    : "";
+
+  const win = data?.window || null;
+  const windowText = win
+    ? `Last ${win.days} days` +
+      (win.halflife_days ? ` · recency-weighted median (half-life ${win.halflife_days}d)` : "")
     : "";
 
 
   outEl.innerHTML = `
     <div class="out-head">Recommended Price</div>
-    <div class="out-big">${isFinite(rec) ? escapeHtml(formatCoins(rec)) : "—"}</div>
+    <div class="out-big">${isFinite(rec) ? escapeHtml(formatCoins(rec)) : "—"} ${confBadge}</div>
+    ${confList}
 
 
     <div class="out-grid">
       <div class="out-box">
         <div class="out-box-k">Range</div>
         <div class="out-box-v">${escapeHtml(rangeText)} <span class="out-box-s">(Top ${rc || 0})</span></div>
+        ${data?.trimmed_mean != null && isFinite(trimmed) ? `<div class="out-box-s">Trimmed mean ${escapeHtml(formatShort(trimmed))}</div>` : ""}
       </div>
+      <div class="out-box" id="advLiveBox">${renderLiveBox(live)}</div>
       <div class="out-box">
-        <div class="out-box-k">Current Lowest Live Match</div>
-        <div class="out-box-v">${escapeHtml(liveText)}</div>
-        ${liveEnds ? `<div class="out-box-s">${escapeHtml(liveEnds)}</div>` : ""}
+        <div class="out-box-k">Listed, Not Sold</div>
+        <div class="out-box-v">${escapeHtml(unsoldText)}</div>
+        ${unsoldSub ? `<div class="out-box-s">${escapeHtml(unsoldSub)}</div>` : ""}
       </div>
     </div>
 
 
     <div class="out-sub">${data?.note ? escapeHtml(data.note) : "Based on the closest matching sales and live auctions."}</div>
+    ${windowText ? `<div class="out-sub">${escapeHtml(windowText)}</div>` : ""}
+    ${outlierText ? `<div class="out-sub out-outliers">${escapeHtml(outlierText)}</div>` : ""}
   `;
 
 
+  ADV_DATA = data;
   renderTop3Rail(Array.isArray(data.top3) ? data.top3 : []);
+  renderPriceChart(data);
+}
+
+
+/* =========================
+   Price chart (inline SVG, matched sales over time)
+   - dots: PERFECT gold / PARTIAL purple, hollow = rejected as an outlier
+   - dashed line: recommended median, dotted line + diamond: live LBIN
+   - hover / focus a dot to show that sale below the chart
+========================= */
+let CHART_POINTS = [];
+
+function renderPriceChart(data) {
+  const box = $("advChart");
+  const detail = $("advChartDetail");
+  if (!box) return;
+  if (detail) detail.innerHTML = "";
+
+  CHART_POINTS = Array.isArray(data?.points)
+    ? data.points.filter((p) => isFinite(Number(p.price)) && Number(p.ts) > 0)
+    : [];
+
+  if (!CHART_POINTS.length) {
+    box.innerHTML = `<div class="out-sub">No matched sales to chart.</div>`;
+    return;
+  }
+
+  const rec = Number(data?.recommended);
+  const lbin = Number(data?.live?.price);
+  const hasRec = data?.recommended != null && isFinite(rec);
+  const hasLbin = data?.live?.price != null && isFinite(lbin);
+
+  const W = 640, H = 220;
+  const pad = { l: 56, r: 44, t: 12, b: 24 };
+
+  let x0 = Math.min(...CHART_POINTS.map((p) => Number(p.ts)));
+  let x1 = hasLbin ? Date.now() : Math.max(...CHART_POINTS.map((p) => Number(p.ts)));
+  if (x1 - x0 < 3600e3) { x0 -= 1800e3; x1 += 1800e3; }
+
+  const ys = CHART_POINTS.map((p) => Number(p.price));
+  if (hasRec) ys.push(rec);
+  if (hasLbin) ys.push(lbin);
+  let y0 = Math.min(...ys);
+  let y1 = Math.max(...ys);
+  const ySpan = (y1 - y0) || Math.max(1, y1 * 0.1);
+  y0 = Math.max(0, y0 - ySpan * 0.08);
+  y1 += ySpan * 0.08;
+
+  const sx = (t) => pad.l + ((t - x0) / (x1 - x0)) * (W - pad.l - pad.r);
+  const sy = (v) => pad.t + (1 - (v - y0) / (y1 - y0)) * (H - pad.t - pad.b);
+
+  const parts = [];
+
+  for (let i = 0; i <= 4; i++) {
+    const v = y0 + ((y1 - y0) * i) / 4;
+    const y = sy(v).toFixed(1);
+    parts.push(`<line class="chart-grid" x1="${pad.l}" x2="${W - pad.r}" y1="${y}" y2="${y}" />`);
+    parts.push(`<text class="chart-axis" x="${pad.l - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatShort(v))}</text>`);
+  }
+  for (let i = 0; i <= 3; i++) {
+    const t = x0 + ((x1 - x0) * i) / 3;
+    const label = new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    const anchor = i === 0 ? "start" : i === 3 ? "end" : "middle";
+    parts.push(`<text class="chart-axis" x="${sx(t).toFixed(1)}" y="${H - 6}" text-anchor="${anchor}">${escapeHtml(label)}</text>`);
+  }
+
+  if (hasRec) {
+    const y = sy(rec).toFixed(1);
+    parts.push(`<line class="chart-median" x1="${pad.l}" x2="${W - pad.r}" y1="${y}" y2="${y}" />`);
+    parts.push(`<text class="chart-label chart-label-median" x="${W - pad.r + 4}" y="${y}" dominant-baseline="middle">Median</text>`);
+  }
+
+  CHART_POINTS.forEach((p, idx) => {
+    const q = p.quality === "PERFECT" ? "PERFECT" : "PARTIAL";
+    parts.push(
+      `<circle class="chart-pt${p.outlier ? " chart-pt-outlier" : ""}" data-idx="${idx}" data-quality="${q}" tabindex="0" ` +
+      `cx="${sx(Number(p.ts)).toFixed(1)}" cy="${sy(Number(p.price)).toFixed(1)}" r="4" />`
+    );
+  });
+
+  if (hasLbin) {
+    const x = sx(x1);
+    const y = sy(lbin);
+    parts.push(`<line class="chart-lbin" x1="${pad.l}" x2="${x.toFixed(1)}" y1="${y.toFixed(1)}" y2="${y.toFixed(1)}" />`);
+    parts.push(`<path class="chart-lbin-mark" d="M${x} ${y - 6} L${x + 6} ${y} L${x} ${y + 6} L${x - 6} ${y} Z" />`);
+    parts.push(`<text class="chart-label chart-label-lbin" x="${W - pad.r + 4}" y="${(y + 12).toFixed(1)}" dominant-baseline="middle">LBIN</text>`);
+  }
+
+  box.innerHTML = `
+    <svg class="chart-svg" viewBox="0 0 ${W} ${H}" role="img"
+         aria-label="Matched sale prices over time">
+      ${parts.join("")}
+    </svg>
+  `;
+
+  const svg = box.querySelector("svg");
+  const show = (e) => {
+    const pt = e.target?.closest?.(".chart-pt");
+    if (!pt) return;
+    svg.querySelectorAll(".chart-pt.active").forEach((el) => el.classList.remove("active"));
+    pt.classList.add("active");
+    renderChartDetail(CHART_POINTS[Number(pt.dataset.idx)]);
+  };
+  svg.addEventListener("mouseover", show);
+  svg.addEventListener("focusin", show);
+}
+
+// Same layout as a Market Echoes card
+function renderChartDetail(p) {
+  const detail = $("advChartDetail");
+  if (!detail || !p) return;
+
+  const uuid = String(p.uuid || "").trim();
+  const enchLines = Array.isArray(p.allEnchants) ? p.allEnchants.slice(0, 10) : [];
+  const when = new Date(Number(p.ts)).toLocaleString();
+
+  detail.innerHTML = `
+    <div class="mini-card">
+      <div class="mini-head">
+        <div class="mini-title">
+          <div class="mini-name">${escapeHtml(p.item_name ?? "—")} ${renderStarsHtml(Number(p.dstars || 0), Number(p.mstars || 0))}</div>
+          <div class="mini-tags">
+            <span class="chip">Sold: <b>${escapeHtml(when)}</b></span>
+            <span class="chip">Match: <b>${escapeHtml(p.quality === "PERFECT" ? "Perfect" : "Partial")}</b></span>
+            ${p.outlier ? `<span class="chip">Outlier: <b>${escapeHtml(p.outlier)}</b></span>` : ""}
+          </div>
+        </div>
+        <div class="mini-price">${formatCoins(Number(p.price))}</div>
+      </div>
+
+      <div class="mini-actions">${uuid ? uuidButtonHtml(uuid) : ""}</div>
+      ${enchLines.length ? `
+        <div class="mini-meta mini-scroll">
+          <b>Enchants</b>
+          <div class="ench-list">
+            ${enchLines.map(enchantLineHtml).join("")}
+          </div>
+        </div>
+      ` : ""}
+      ${uuid ? `<div class="mini-uuid">UUID: ${escapeHtml(uuid)}</div>` : ""}
+    </div>
+  `;
+}
+
+
+/* =========================
+   Live LBIN (server-sent events from /api/lbin/stream)
+   - one stream, for the last Advanced run; a new run (or a failed one) closes it
+   - each "lbin" event replaces the live card and the chart's LBIN marker
+   - EventSource reconnects on its own; the status line says so meanwhile
+========================= */
+let ADV_DATA = null;
+let LIVE_STREAM = null;
+
+const LIVE_CHANGE_TEXT = {
+  cheaper: "Cheaper match just listed",
+  ended: "Previous lowest is gone",
+  gone: "No live match left",
+  new: "New live match",
+};
+
+function renderLiveBox(live, status = "", change = "") {
+  const liveText = live
+    ? `${formatCoins(Number(live.price))} ${live.bin ? "(BIN)" : "(BID)"}`
+    : "—";
+  const liveEnds = live?.end_ts
+    ? `Ends: ${new Date(Number(live.end_ts)).toLocaleString()}`
+    : "";
+  const changeText = LIVE_CHANGE_TEXT[change] || "";
+
+  return `
+    <div class="out-box-k">Current Lowest Live Match</div>
+    <div class="out-box-v">${escapeHtml(liveText)}</div>
+    ${liveEnds ? `<div class="out-box-s">${escapeHtml(liveEnds)}</div>` : ""}
+    ${changeText ? `<div class="out-box-s live-change">${escapeHtml(changeText)}</div>` : ""}
+    ${status ? `<div class="out-box-s live-status" data-status="${escapeHtml(status)}">${status === "live" ? "● Live" : "Reconnecting…"}</div>` : ""}
+  `;
+}
+
+function stopLiveStream() {
+  if (LIVE_STREAM) LIVE_STREAM.close();
+  LIVE_STREAM = null;
+}
+
+function startLiveStream(params) {
+  stopLiveStream();
+  if (typeof EventSource === "undefined") return;
+
+  const es = new EventSource(`/api/lbin/stream?${params.toString()}`);
+  LIVE_STREAM = es;
+  let lastChange = "";
+
+  const paint = (status) => {
+    const box = $("advLiveBox");
+    if (box && LIVE_STREAM === es) box.innerHTML = renderLiveBox(ADV_DATA?.live || null, status, lastChange);
+  };
+
+  es.addEventListener("lbin", (ev) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(ev.data);
+    } catch {
+      return;
+    }
+    if (LIVE_STREAM !== es || !ADV_DATA) return;
+
+    if (msg.change !== "initial") lastChange = msg.change;
+    ADV_DATA = { ...ADV_DATA, live: msg.live || null };
+    paint("live");
+    renderPriceChart(ADV_DATA);
+    if (msg.change !== "initial") loadLadder();
+  });
+  es.addEventListener("open", () => paint("live"));
+  es.addEventListener("error", () => {
+    // CLOSED = the server refused the stream (bad item, too many clients); don't show a spinner
+    paint(es.readyState === EventSource.CLOSED ? "" : "reconnecting");
+  });
+}
+
+
+/* =========================
+   Live Ladder (/api/live/ladder)
+   - every matching live BIN per quality: LBIN, second-cheapest + gap, copies per price level
+   - "Include auctions" adds regular auctions with their current bid and time left
+   - reloaded after each run and whenever the live stream reports a new LBIN
+========================= */
+const LADDER_LEVELS_SHOWN = 12;
+let LADDER_QUERY = null;
+let LADDER_SEQ = 0;
+
+function formatTimeLeft(ms) {
+  const s = Math.max(0, Math.round(Number(ms || 0) / 1000));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  return m ? `${m}m` : `${s}s`;
+}
+
+function renderLadderQuality(q, s) {
+  const label = q === "PERFECT" ? "Perfect matches" : "Partial matches";
+  if (!s?.count) {
+    return `
+      <div class="ladder-q" data-quality="${q}">
+        <div class="out-box-k">${label}</div>
+        <div class="out-box-s">No live BINs.</div>
+      </div>`;
+  }
+
+  const shown = s.levels.slice(0, LADDER_LEVELS_SHOWN);
+  const maxCount = Math.max(...shown.map((l) => l.count));
+  const levels = shown
+    .map((l) => `
+      <div class="ladder-level" title="${escapeHtml(`${l.cumulative} listed at or under ${formatCoins(l.price)}`)}">
+        <span>${escapeHtml(formatShort(l.price))}</span>
+        <span class="ladder-bar"><span style="width:${Math.max(4, Math.round((l.count / maxCount) * 100))}%"></span></span>
+        <span class="ladder-count">×${escapeHtml(String(l.count))}</span>
+      </div>`)
+    .join("");
+  const gap = s.second != null
+    ? `2nd ${formatShort(s.second)} (+${formatShort(s.gap_to_second)}, ${s.gap_to_second_pct}%)`
+    : "Only one listed";
+
+  return `
+    <div class="ladder-q" data-quality="${q}">
+      <div class="out-box-k">${label} · ${escapeHtml(String(s.count))} listed</div>
+      <div class="out-box-v">LBIN ${escapeHtml(formatCoins(Number(s.lowest)))}</div>
+      <div class="out-box-s">${escapeHtml(gap)}</div>
+      <div class="ladder-levels">${levels}</div>
+      ${s.levels.length > shown.length ? `<div class="out-box-s">+${s.levels.length - shown.length} more price levels</div>` : ""}
+    </div>`;
+}
+
+function renderLadderAuctions(auctions) {
+  const rows = ["PERFECT", "PARTIAL"].flatMap((q) => (auctions?.[q]?.listings || []).map((a) => ({ ...a, quality: q })));
+  if (!rows.length) return `<div class="out-sub ladder-auctions">No matching auctions running.</div>`;
+
+  rows.sort((a, b) => Number(a.time_left_ms) - Number(b.time_left_ms));
+  return `
+    <div class="sales-table ladder-auctions">
+      <table>
+        <thead><tr><th>Item</th><th>Current bid</th><th>Time left</th><th>Match</th></tr></thead>
+        <tbody>
+          ${rows.map((a) => `
+            <tr data-quality="${escapeHtml(a.quality)}">
+              <td>${escapeHtml(a.item_name || "")}</td>
+              <td class="num">${escapeHtml(formatCoins(Number(a.price)))}${a.highest_bid ? "" : ` <span class="out-box-s">(no bids)</span>`}</td>
+              <td class="num">${escapeHtml(formatTimeLeft(a.time_left_ms))}</td>
+              <td class="sales-q">${escapeHtml(a.quality)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+async function loadLadder() {
+  if (!LADDER_QUERY) return;
+  const box = $("ladderOut");
+  const seq = ++LADDER_SEQ;
+
+  const params = new URLSearchParams(LADDER_QUERY);
+  params.set("limit", "20");
+  if ($("ladderAuctions")?.checked) params.set("auctions", "1");
+
+  try {
+    const res = await fetch(`/api/live/ladder?${params.toString()}`, { cache: "no-store" });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || `API error (${res.status})`);
+    if (seq !== LADDER_SEQ || !box) return;
+
+    box.innerHTML = `
+      <div class="ladder-grid">
+        ${renderLadderQuality("PERFECT", data.bins?.PERFECT)}
+        ${renderLadderQuality("PARTIAL", data.bins?.PARTIAL)}
+      </div>
+      ${data.auctions ? renderLadderAuctions(data.auctions) : ""}
+      ${data.truncated ? `<div class="out-sub">Priciest listings not read (row limit); counts are a floor.</div>` : ""}
+    `;
+  } catch (err) {
+    if (seq !== LADDER_SEQ || !box) return;
+    box.innerHTML = `<div class="out-err">Error</div><div class="out-sub">${escapeHtml(err?.message || "Unknown error")}</div>`;
+  }
+}
+
+function startLadder(params) {
+  LADDER_QUERY = params;
+  loadLadder();
+}
+
+function resetLadder() {
+  LADDER_QUERY = null;
+  LADDER_SEQ++;
+  const box = $("ladderOut");
+  if (box) box.innerHTML = `<div class="out-sub">Run a recommendation to see every matching live listing.</div>`;
+}
+
+
+/* =========================
+   Matched Sales explorer (/api/recommend/candidates)
+   - same query as the last Advanced run, one page at a time
+   - quality / sort changes go back to page 1
+   - CSV / JSON links export the whole filtered + sorted list
+========================= */
+const SALES_PAGE_SIZE = 25;
+let SALES_QUERY = null;
+let SALES_PAGE = 1;
+let SALES_SEQ = 0;
+
+function salesParams() {
+  const params = new URLSearchParams(SALES_QUERY);
+  const quality = String($("salesQuality")?.value || "");
+  const [sort, order] = String($("salesSort")?.value || "score:desc").split(":");
+  if (quality) params.set("quality", quality);
+  params.set("sort", sort);
+  params.set("order", order);
+  return params;
+}
+
+function setSalesExport(params) {
+  for (const [id, format] of [["salesCsv", "csv"], ["salesJson", "json"]]) {
+    const a = $(id);
+    if (!a) continue;
+    if (!params) {
+      a.removeAttribute("href");
+      a.setAttribute("aria-disabled", "true");
+      continue;
+    }
+    const p = new URLSearchParams(params);
+    p.set("export", format);
+    a.href = `/api/recommend/candidates?${p.toString()}`;
+    a.setAttribute("aria-disabled", "false");
+  }
+}
+
+function renderSalesTable(data) {
+  const box = $("salesTable");
+  if (!box) return;
+
+  const items = Array.isArray(data?.items) ? data.items : [];
+  if (!items.length) {
+    box.innerHTML = `<div class="out-sub">No matched sales${data?.quality && data.quality !== "ALL" ? ` with ${escapeHtml(data.quality.toLowerCase())} quality` : ""} in this window.</div>`;
+    return;
+  }
+
+  const rows = items.map((c) => {
+    const cls = [c.in_pool ? "in-pool" : "", c.outlier ? "outlier" : ""].filter(Boolean).join(" ");
+    const title = c.outlier ? `Outlier: ${c.outlier}` : c.in_pool ? "Part of the recommended price" : "";
+    const ench = (c.allEnchants || []).slice(0, 6).map((e) => e.label).join(", ");
+    return `
+      <tr data-quality="${escapeHtml(c.quality)}" class="${cls}"${title ? ` title="${escapeHtml(title)}"` : ""}>
+        <td class="num">${escapeHtml(String(c.rank))}</td>
+        <td>
+          <div>${escapeHtml(c.item_name || "")}</div>
+          ${ench ? `<div class="sales-ench">${escapeHtml(ench)}</div>` : ""}
+        </td>
+        <td class="num">${escapeHtml(formatCoins(Number(c.final_price)))}</td>
+        <td class="num">${c.ended_ts ? escapeHtml(new Date(Number(c.ended_ts)).toLocaleDateString()) : "—"}</td>
+        <td class="sales-q">${escapeHtml(c.quality)}</td>
+        <td class="num">${escapeHtml(String(c.score))}</td>
+      </tr>`;
+  });
+
+  const s = data.summary || {};
+  const outliers = Number(s.outliers || 0);
+  box.innerHTML = `
+    <div class="out-sub">
+      ${escapeHtml(`${s.count || 0} matched (${s.perfect || 0} perfect, ${s.partial || 0} partial) · ${s.pool || 0} in the price pool · ${outliers} outlier${outliers === 1 ? "" : "s"}`)}
+      ${s.truncated ? " · oldest sales not read (row limit)" : ""}
+    </div>
+    <table>
+      <thead>
+        <tr><th>#</th><th>Item</th><th>Price</th><th>Sold</th><th>Match</th><th>Score</th></tr>
+      </thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+  `;
+}
+
+function renderSalesPager(data) {
+  const page = Number(data?.page || 1);
+  const pages = Number(data?.pages || 1);
+  if ($("salesPageInfo")) $("salesPageInfo").textContent = data ? `Page ${page} / ${pages} · ${data.total} sales` : "";
+  if ($("salesPrev")) $("salesPrev").disabled = !data || page <= 1;
+  if ($("salesNext")) $("salesNext").disabled = !data || page >= pages;
+}
+
+async function loadSalesPage(page = SALES_PAGE) {
+  if (!SALES_QUERY) return;
+  const box = $("salesTable");
+  const seq = ++SALES_SEQ;
+
+  const params = salesParams();
+  setSalesExport(params);
+  params.set("page", String(page));
+  params.set("page_size", String(SALES_PAGE_SIZE));
+
+  try {
+    const res = await fetch(`/api/recommend/candidates?${params.toString()}`, { cache: "no-store" });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || `API error (${res.status})`);
+    if (seq !== SALES_SEQ) return;
+
+    SALES_PAGE = Number(data.page || 1);
+    renderSalesTable(data);
+    renderSalesPager(data);
+  } catch (err) {
+    if (seq !== SALES_SEQ) return;
+    if (box) box.innerHTML = `<div class="out-err">Error</div><div class="out-sub">${escapeHtml(err?.message || "Unknown error")}</div>`;
+    renderSalesPager(null);
+  }
+}
+
+function startSalesExplorer(params) {
+  SALES_QUERY = params;
+  SALES_PAGE = 1;
+  loadSalesPage(1);
+}
+
+function resetSalesExplorer() {
+  SALES_QUERY = null;
+  SALES_SEQ++;
+  const box = $("salesTable");
+  if (box) box.innerHTML = `<div class="out-sub">Run a recommendation to list every matched sale.</div>`;
+  setSalesExport(null);
+  renderSalesPager(null);
+}
+
+function setupSalesExplorer() {
+  $("salesQuality")?.addEventListener("change", () => loadSalesPage(1));
+  $("salesSort")?.addEventListener("change", () => loadSalesPage(1));
+  $("salesPrev")?.addEventListener("click", () => loadSalesPage(SALES_PAGE - 1));
+  $("salesNext")?.addEventListener("click", () => loadSalesPage(SALES_PAGE + 1));
 }
 
 
@@ -950,6 +1348,22 @@ async function runAdvancedMode() {
   const petLevelEl = $("advPetLevel");
   const petSkinEl = $("advPetSkin");
 
+  const reforgeEl = $("advReforge");
+  const recombEl = $("advRecomb");
+  const hpbEl = $("advHpb");
+
+  const gemSlotsEl = $("advGemSlots");
+  const gemQualityEl = $("advGemQuality");
+  const gemmedEl = $("advGemmed");
+  const attributesEl = $("advAttributes");
+  const scrollsEl = $("advScrolls");
+  const powerScrollEl = $("advPowerScroll");
+  const upgradesEl = $("advUpgrades");
+  const noCandyEl = $("advNoCandy");
+  const noTierBoostEl = $("advNoTierBoost");
+  const daysEl = $("advDays");
+  const halfLifeEl = $("advHalfLife");
+
 
   if (!out || !btn || !itemEl || !starsEl || !enchEl) return;
 
@@ -971,37 +1385,82 @@ async function runAdvancedMode() {
 
   const wi = !!wiEl?.checked;
 
+  const reforge = ((reforgeEl?.dataset.key || reforgeEl?.value) || "").trim();
+  const recomb = !!recombEl?.checked;
+  const hpb = hpbEl?.value ? clampInt(hpbEl.value.trim(), 0, 15) : 0;
+
+  const gemslots = gemSlotsEl?.value ? clampInt(gemSlotsEl.value.trim(), 0, 20) : 0;
+  const gemq = String(gemQualityEl?.value || "").trim();
+  const gemmed = !!gemmedEl?.checked;
+  const attributes = cleanEnchantsValue(attributesEl?.value || "");
+  const scrolls = String(scrollsEl?.value || "").trim();
+  const powerscroll = String(powerScrollEl?.value || "").trim();
+  const upgrades = String(upgradesEl?.value || "").trim();
+  const nocandy = !!noCandyEl?.checked;
+  const notierboost = !!noTierBoostEl?.checked;
+  const days = daysEl?.value ? clampInt(daysEl.value.trim(), 0, 365) : 0;
+  const halflifeNum = Number(String(halfLifeEl?.value || "").trim());
+  const halflife = Number.isFinite(halflifeNum) && halflifeNum > 0 ? halflifeNum : 0;
+
 
   if (!item) {
+    stopLiveStream();
+    resetLadder();
+    resetSalesExplorer();
     out.innerHTML = `<div class="out-head">Pick an item from suggestions.</div>`;
     renderTop3Rail([]);
+    renderPriceChart(null);
     return;
   }
 
 
   btn.disabled = true;
+  stopLiveStream();
   out.innerHTML = `<div class="out-head">Scanning the market…</div><div class="out-sub">Scoring sales + scanning live auctions.</div>`;
 
 
+  const query = {
+    item,
+    stars10,
+    enchants,
+    wi,
+    rarity,
+    dye,
+    skin,
+    petlvl: petlvl > 0 ? petlvl : 0,
+    petskin,
+    petitem,
+    reforge,
+    recomb,
+    hpb,
+    gemslots,
+    gemq,
+    gemmed,
+    attributes,
+    scrolls,
+    powerscroll,
+    upgrades,
+    nocandy,
+    notierboost,
+    days,
+    halflife,
+  };
+
+
   try {
-    const data = await fetchRecommended({
-      item,
-      stars10,
-      enchants,
-      wi,
-      rarity,
-      dye,
-      skin,
-      petlvl: petlvl > 0 ? petlvl : 0,
-      petskin,
-      petitem,
-    });
+    const data = await fetchRecommended(query);
 
 
     renderAdvanced(out, data || {});
+    startLiveStream(buildRecommendParams(query));
+    startLadder(buildRecommendParams(query));
+    startSalesExplorer(buildRecommendParams(query));
   } catch (err) {
     out.innerHTML = `<div class="out-err">Error</div><div class="out-sub">${escapeHtml(err?.message || "Unknown error")}</div>`;
+    resetLadder();
+    resetSalesExplorer();
     renderTop3Rail([]);
+    renderPriceChart(null);
     console.error(err);
   } finally {
     btn.disabled = false;
@@ -1009,6 +1468,21 @@ async function runAdvancedMode() {
 }
 
 
+/* =========================
+   Applied upgrades hint (keys from /api/upgrades)
+========================= */
+async function loadUpgradeHint() {
+  const hint = $("advUpgradesHint");
+  if (!hint) return;
+  try {
+    const res = await fetch("/api/upgrades", { cache: "no-store" });
+    const data = await res.json().catch(() => ({}));
+    const keys = (data.items || []).map((d) => (d.max > 1 ? `${d.key}:${d.max}` : d.key));
+    if (keys.length) hint.textContent = `Comma-separated; add :N for a minimum count. Known: ${keys.join(", ")}`;
+  } catch {}
+}
+
+
 /* =========================
    Wire once
 ========================= */
@@ -1044,6 +1518,8 @@ document.addEventListener("DOMContentLoaded", () => {
 
 
   setupStars10Slider();
+  setupSalesExplorer();
+  $("ladderAuctions")?.addEventListener("change", loadLadder);
 
 
   setupItemAutocomplete();
@@ -1053,16 +1529,11 @@ document.addEventListener("DOMContentLoaded", () => {
   setupAutocomplete({ inputId: "advDye", boxId: "dyeSuggest", endpoint: "/api/dyes", limit: 30 });
   setupAutocomplete({ inputId: "advSkin", boxId: "skinSuggest", endpoint: "/api/skins", limit: 30 });
   setupAutocomplete({ inputId: "advPetSkin", boxId: "petSkinSuggest", endpoint: "/api/petskins", limit: 30 });
+  setupAutocomplete({ inputId: "advPetItem", boxId: "petItemSuggest", endpoint: "/api/petitems", limit: 30 });
+  setupAutocomplete({ inputId: "advReforge", boxId: "reforgeSuggest", endpoint: "/api/reforges", limit: 30 });
 
 
-  // ✅ Pet Item local autocomplete (requires: advPetItem + petItemSuggest in HTML)
-  setupLocalAutocomplete({
-    inputId: "advPetItem",
-    boxId: "petItemSuggest",
-    list: PET_ITEM_LIST,
-    limit: 30,
-  });
-
+  loadUpgradeHint();
 
   renderTop3Rail([]);
 });
@@ -26,3 +26,164 @@ CREATE TABLE IF NOT EXISTS sales (
 );
 
 CREATE INDEX IF NOT EXISTS idx_sales_sig_ended ON sales (signature, ended_ts);
+
+-- Columns added after the original tables (safe to re-run)
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS item_key TEXT;
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS item_bytes TEXT;
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS signature TEXT;
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS finalized_ts BIGINT;
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS item_key TEXT;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tier TEXT;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS item_lore TEXT;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS item_bytes TEXT;
+ALTER TABLE sales ALTER COLUMN signature DROP NOT NULL;
+-- 'ended_feed' = confirmed by auctions_ended, 'inferred' = bid auction past end_ts with a bid
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS has_buyer BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_unfinalized ON auctions (end_ts) WHERE finalized_ts IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sales_item_key_ended ON sales (item_key, ended_ts);
+
+-- Why an auction ended: 'sold' | 'cancelled' | 'expired' | 'unknown' (NULL while live)
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS end_reason TEXT;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS end_reason TEXT;
+
+-- Rows from before end_reason existed: bid-auction sales are real, BIN "sales" were guesses
+UPDATE sales
+SET end_reason = CASE WHEN source = 'ended_feed' OR bin = false THEN 'sold' ELSE 'unknown' END
+WHERE end_reason IS NULL;
+
+UPDATE auctions a
+SET end_reason = s.end_reason
+FROM sales s
+WHERE s.uuid = a.uuid
+  AND a.end_reason IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_key_end_reason ON auctions (item_key, end_reason, end_ts);
+
+-- auctions_ended coverage: one row per successful feed poll (each sees the ~60s before ts).
+-- A BIN only counts as cancelled/expired when polls cover the time it vanished (gone_ts = the
+-- sync that found it missing); otherwise it might have sold unseen and ends as 'unknown'.
+CREATE TABLE IF NOT EXISTS ended_feed_polls (
+  ts BIGINT PRIMARY KEY
+);
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS gone_ts BIGINT;
+
+-- BINs labelled before coverage was tracked can't be told apart from missed sales
+UPDATE auctions
+SET end_reason = 'unknown'
+WHERE bin = true
+  AND end_reason IN ('cancelled', 'expired')
+  AND gone_ts IS NULL;
+
+-- Written by ingest.js (daemon + one-shot), read by server.js /api/ingest/status
+CREATE TABLE IF NOT EXISTS ingest_state (
+  id TEXT PRIMARY KEY,
+  state JSONB NOT NULL,
+  updated_ts BIGINT NOT NULL
+);
+
+-- Signature format version (parseLore.js SIGNATURE_VERSION); NULL/0 = legacy unstamped string.
+-- Rows below the current version are rebuilt by: npm run resign
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS signature_version SMALLINT;
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS signature_version SMALLINT;
+
+-- Resume point per table + target version for tools/resign.js
+CREATE TABLE IF NOT EXISTS resign_checkpoints (
+  table_name TEXT NOT NULL,
+  target_version INT NOT NULL,
+  last_uuid TEXT NOT NULL DEFAULT '',
+  done INT NOT NULL DEFAULT 0,
+  finished BOOLEAN NOT NULL DEFAULT false,
+  updated_ts BIGINT NOT NULL,
+  PRIMARY KEY (table_name, target_version)
+);
+
+-- Signatures as typed columns (itemAttributes.js), one row per stored signature.
+-- row_kind = the table the signature lives in ('sales' | 'auctions').
+-- Filled by ingest.js; existing rows get theirs from: npm run resign
+CREATE TABLE IF NOT EXISTS item_attributes (
+  row_kind TEXT NOT NULL,
+  uuid TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  signature_version SMALLINT,
+  tier TEXT,
+  dstars SMALLINT NOT NULL DEFAULT 0,
+  mstars SMALLINT NOT NULL DEFAULT 0,
+  stars10 SMALLINT NOT NULL DEFAULT 0,
+  wither_impact BOOLEAN NOT NULL DEFAULT false,
+  pet_level SMALLINT NOT NULL DEFAULT 0,
+  pet_item TEXT NOT NULL DEFAULT 'none',
+  dye TEXT NOT NULL DEFAULT 'none',
+  skin TEXT NOT NULL DEFAULT 'none',
+  petskin TEXT NOT NULL DEFAULT 'none',
+  enchants JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_ts BIGINT NOT NULL,
+  PRIMARY KEY (row_kind, uuid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_attributes_stars ON item_attributes (row_kind, stars10);
+CREATE INDEX IF NOT EXISTS idx_item_attributes_tier ON item_attributes (row_kind, tier);
+CREATE INDEX IF NOT EXISTS idx_item_attributes_enchants ON item_attributes USING GIN (enchants);
+
+-- Signature v3: reforge / recombobulator / hot potato books
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS reforge TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS recomb BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS hpb SMALLINT NOT NULL DEFAULT 0;
+
+-- Signature v4: gemstones (gem_min_quality: 0 none, 1 rough ... 5 perfect)
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS gem_slots SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS gem_count SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS gem_min_quality SMALLINT NOT NULL DEFAULT 0;
+
+-- Signature v5: attribute shards ({ "mana_pool": 5, "dominance": 3 })
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS attribute_shards JSONB NOT NULL DEFAULT '{}'::jsonb;
+CREATE INDEX IF NOT EXISTS idx_item_attributes_shards ON item_attributes USING GIN (attribute_shards);
+
+-- Signature v6: applied upgrades ({ "aow": 1, "fpb": 5 }), ability scrolls, power scroll
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS upgrades JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS scrolls TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS power_scroll TEXT NOT NULL DEFAULT 'none';
+
+-- Signature v7: pet candy / exp / tier boost
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS pet_candy SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS pet_exp BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS tier_boosted BOOLEAN NOT NULL DEFAULT false;
+
+-- Signature v9: every slot in data/gem-slots.json filled (gem_slots now counts empty free slots too)
+ALTER TABLE item_attributes ADD COLUMN IF NOT EXISTS fully_gemmed BOOLEAN NOT NULL DEFAULT false;
+
+-- Watchlists (watches.js, /api/watches): a saved /api/recommend query + target price + webhook.
+-- query holds the recommend params as strings ({"item": "Hyperion", "stars10": "10", ...}).
+CREATE TABLE IF NOT EXISTS watches (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL DEFAULT '',
+  item_key TEXT NOT NULL,
+  query JSONB NOT NULL,
+  target_price BIGINT NOT NULL,
+  perfect_only BOOLEAN NOT NULL DEFAULT false,
+  webhook_url TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_ts BIGINT NOT NULL,
+  last_checked_ts BIGINT
+);
+
+-- One alert per (watch, auction): the unique key is the de-duplication.
+-- status: pending -> delivered | failed (after WEBHOOK_MAX_ATTEMPTS)
+CREATE TABLE IF NOT EXISTS watch_alerts (
+  id BIGSERIAL PRIMARY KEY,
+  watch_id BIGINT NOT NULL REFERENCES watches (id) ON DELETE CASCADE,
+  auction_uuid TEXT NOT NULL,
+  price BIGINT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_ts BIGINT NOT NULL,
+  last_error TEXT,
+  created_ts BIGINT NOT NULL,
+  delivered_ts BIGINT,
+  UNIQUE (watch_id, auction_uuid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_alerts_due ON watch_alerts (next_attempt_ts) WHERE status = 'pending';
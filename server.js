@@ -9,14 +9,21 @@
 // Live BIN (LBIN):
 // - cheapest PERFECT else cheapest PARTIAL
 // Recommended price:
-// - median(PERFECT) else median(PARTIAL) else null
+// - median(PERFECT) else median(PARTIAL) else null, over ?days= (default 120);
+//   ?halflife= makes it a recency-weighted median; pool outliers (?outliers=mad|iqr|off) are dropped first
+// - confirmed sales only (sales.end_reason = 'sold'); cancelled/expired listings are
+//   reported separately as "listed but not sold" when ?unsold=1
+// Filters are pushed into SQL via item_attributes (itemAttributes.js) before strict grading.
+// /api/history buckets the same matched sales (median / p25 / p75 / min / max / volume) over time.
 console.log("DB_URL_TAIL", String(process.env.DATABASE_URL || "").slice(-16));
 
 import path from "path";
 import { fileURLToPath } from "url";
+import { setImmediate as yieldToEventLoop } from "timers/promises";
 import express from "express";
 import pg from "pg";
-import dotenv from "dotenv";
+// loaded before parseLore.js / cosmetics.js read ENCHANT_TIERS_FILE / COSMETICS_FILE
+import "dotenv/config";
 
 import {
   normKey,
@@ -28,9 +35,41 @@ import {
   buildSignature,
   tierFor,
   getEnchantCatalog,
+  reloadEnchantTiers,
+  getEnchantTiersVersion,
+  getReforgeList,
+  attributesFromSignature,
+  gemSummary,
+  gemQualityRank,
+  GEM_QUALITIES,
+  parseAttributeList,
+  displayAttribute,
+  UPGRADE_DEFS,
+  parseUpgradeList,
+  SIGNATURE_VERSION,
+  signatureVersionOf,
 } from "./parseLore.js";
-
-dotenv.config();
+import { attributeFilterSql } from "./itemAttributes.js";
+import {
+  validateWatchInput,
+  createWatch,
+  listWatches,
+  setWatchEnabled,
+  deleteWatch,
+  listWatchAlerts,
+  markWatchChecked,
+  recordWatchAlerts,
+  deliverPendingAlerts,
+} from "./watches.js";
+import {
+  COSMETIC_KINDS,
+  cosmeticOptions,
+  searchCosmetics,
+  refreshObservedCosmetics,
+  reloadCuratedCosmetics,
+  getCosmeticsInfo,
+} from "./cosmetics.js";
+import { listenAuctionChanges } from "./auctionEvents.js";
 
 const app = express();
 app.use(express.json());
@@ -143,6 +182,7 @@ function buildLbinFallbackSignature({ itemName = "", tier = "" } = {}) {
    Signature helpers
 ========================= */
 const RESERVED_SIG_KEYS = new Set([
+  "sv",
   "tier",
   "dstars",
   "mstars",
@@ -152,6 +192,17 @@ const RESERVED_SIG_KEYS = new Set([
   "dye",
   "skin",
   "petskin",
+  "reforge",
+  "recomb",
+  "hpb",
+  "gem_slots",
+  "gems",
+  "scrolls",
+  "power_scroll",
+  "pet_candy",
+  "pet_exp",
+  "tier_boost",
+  ...UPGRADE_DEFS.map((d) => d.key),
 ]);
 
 function sigGet(sig, key) {
@@ -198,14 +249,84 @@ function sigPetLevel(sig) {
 function sigPetItem(sig) {
   return sigGet(sig, "pet_item") || "none";
 }
+function sigReforge(sig) {
+  return sigGet(sig, "reforge") || "none";
+}
+function sigRecomb(sig) {
+  return sigGet(sig, "recomb") === "1";
+}
+function sigHpb(sig) {
+  const n = Number(sigGet(sig, "hpb"));
+  return Number.isFinite(n) ? Math.max(0, Math.min(15, Math.trunc(n))) : 0;
+}
+function sigPetCandy(sig) {
+  const n = Number(sigGet(sig, "pet_candy"));
+  return Number.isFinite(n) ? Math.max(0, Math.min(10, Math.trunc(n))) : 0;
+}
+function sigPetExp(sig) {
+  const n = Number(sigGet(sig, "pet_exp"));
+  return Number.isFinite(n) && n > 0 ? Math.trunc(n) : 0;
+}
+function sigTierBoosted(sig) {
+  return sigGet(sig, "tier_boost") === "1";
+}
+function sigScrolls(sig) {
+  return String(sigGet(sig, "scrolls") || "").split(",").filter(Boolean);
+}
+function sigPowerScroll(sig) {
+  return sigGet(sig, "power_scroll") || "none";
+}
+// applied upgrades (UPGRADE_DEFS keys) -> count
+function sigUpgrades(sig) {
+  const out = new Map();
+  for (const d of UPGRADE_DEFS) {
+    const n = Math.trunc(Number(sigGet(sig, d.key)));
+    if (Number.isFinite(n) && n > 0) out.set(d.key, n);
+  }
+  return out;
+}
+// { gemSlots, gems, gemCount, gemMinQuality, fullyGemmed }
+function sigGemInfo(sig) {
+  const a = attributesFromSignature(sig);
+  return { gemSlots: a?.gemSlots || 0, gems: a?.gems || [], ...gemSummary(a) };
+}
+
+// Attribute shards: attr_<key>:<level> (Kuudra armor / equipment)
+const ATTR_SIG_PREFIX = "attr_";
+
+function sigAttributeShards(sig) {
+  const out = new Map();
+  for (const p of String(sig || "").split("|")) {
+    if (!p.startsWith(ATTR_SIG_PREFIX)) continue;
+    const i = p.indexOf(":");
+    if (i <= ATTR_SIG_PREFIX.length) continue;
+    const lv = Number(p.slice(i + 1));
+    if (Number.isFinite(lv) && lv > 0) out.set(p.slice(ATTR_SIG_PREFIX.length, i), Math.min(10, Math.trunc(lv)));
+  }
+  return out;
+}
 
 /* =========================
    Enchant catalog bounds (prevents impossible levels like Dragon Hunter 6)
+   Derived from data/enchant-tiers.json; rebuilt by refreshEnchantCatalog() after a reload.
 ========================= */
-const ENCHANT_CATALOG = getEnchantCatalog();
-const ENCHANT_LEVEL_BOUNDS = new Map(
-  ENCHANT_CATALOG.map((e) => [normalizeEnchantKey(e.name), { min: e.min, max: e.max }])
-);
+let ENCHANT_CATALOG = [];
+let ENCHANT_LEVEL_BOUNDS = new Map();
+let ENCHANT_CATALOG_NORM = [];
+
+function refreshEnchantCatalog() {
+  ENCHANT_CATALOG = getEnchantCatalog();
+  ENCHANT_LEVEL_BOUNDS = new Map(
+    ENCHANT_CATALOG.map((e) => [normalizeEnchantKey(e.name), { min: e.min, max: e.max }])
+  );
+  ENCHANT_CATALOG_NORM = ENCHANT_CATALOG.map((e) => ({
+    name: e.name,
+    key: normKey(e.name),
+    min: e.min,
+    max: e.max,
+  }));
+}
+refreshEnchantCatalog();
 
 function isValidEnchantLevel(nameKey, lv) {
   const b = ENCHANT_LEVEL_BOUNDS.get(nameKey);
@@ -224,7 +345,7 @@ function sigEnchantMap(sig) {
     const kRaw = p.slice(0, i);
     const vRaw = p.slice(i + 1);
 
-    if (RESERVED_SIG_KEYS.has(kRaw)) continue;
+    if (RESERVED_SIG_KEYS.has(kRaw) || kRaw.startsWith(ATTR_SIG_PREFIX)) continue;
 
     const lv = Number(vRaw);
     if (!Number.isFinite(lv) || lv <= 0) continue;
@@ -276,6 +397,45 @@ function median(nums) {
   const mid = Math.floor(n / 2);
   return n % 2 ? a[mid] : Math.round((a[mid - 1] + a[mid]) / 2);
 }
+// Value where the cumulative weight crosses half; equal weights give exactly median().
+// Weights that all underflowed to 0 fall back to the plain median rather than "no price".
+function weightedMedian(values, weights) {
+  const pairs = values
+    .map((v, i) => ({ v, w: Math.max(0, Number(weights[i]) || 0) }))
+    .sort((a, b) => a.v - b.v);
+  if (!pairs.length) return null;
+  const total = pairs.reduce((s, p) => s + p.w, 0);
+  if (!(total > 0) || !Number.isFinite(total)) return median(values);
+
+  const half = total / 2;
+  const eps = total * 1e-9;
+  let cum = 0;
+  for (let i = 0; i < pairs.length; i++) {
+    cum += pairs[i].w;
+    if (Math.abs(cum - half) <= eps && i + 1 < pairs.length) {
+      return Math.round((pairs[i].v + pairs[i + 1].v) / 2);
+    }
+    if (cum > half) return pairs[i].v;
+  }
+  return pairs[pairs.length - 1].v;
+}
+// Mean of what's left after dropping `trim` of the values from each end
+function trimmedMean(nums, trim = 0.2) {
+  const a = nums.slice().sort((x, y) => x - y);
+  if (!a.length) return null;
+  const k = Math.floor(a.length * trim);
+  const kept = a.length - 2 * k > 0 ? a.slice(k, a.length - k) : a;
+  return Math.round(kept.reduce((s, v) => s + v, 0) / kept.length);
+}
+// q in [0, 1] over an ascending array, linear between neighbours
+function quantileSorted(sorted, q) {
+  const n = sorted.length;
+  if (!n) return null;
+  const pos = (n - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+}
 
 /* =========================
    Input normalize
@@ -286,6 +446,27 @@ function normUserKey(raw) {
   if (k === "none" || k === "any") return "";
   return k;
 }
+function parseUserHpb(raw) {
+  const n = Math.trunc(Number(String(raw ?? "").trim()));
+  return Number.isFinite(n) && n >= 1 && n <= 15 ? n : 0;
+}
+// "Implosion, Shadow Warp Scroll" -> ["implosion", "shadow_warp"]
+function parseUserScrolls(raw) {
+  return String(raw ?? "")
+    .split(",")
+    .map((x) => normUserKey(x).replace(/_scroll$/, ""))
+    .filter(Boolean);
+}
+function parseUserPowerScroll(raw) {
+  return normUserKey(raw).replace(/_power_scroll$|_power$/, "");
+}
+function parseUserGemSlots(raw) {
+  const n = Math.trunc(Number(String(raw ?? "").trim()));
+  return Number.isFinite(n) && n >= 1 && n <= 20 ? n : 0;
+}
+function parseUserGemQuality(raw) {
+  return gemQualityRank(normKey(raw)); // 0 = any
+}
 function parseUserPetLevel(raw) {
   const v = String(raw ?? "").trim();
   if (!v) return 0;
@@ -298,12 +479,6 @@ function parseUserPetLevel(raw) {
 /* =========================
    Options helpers
 ========================= */
-function listToOptions(labels) {
-  return labels.map((l) => ({
-    label: l,
-    key: normKey(l.replace(/_/g, " ")).replace(/\s+/g, "_"),
-  }));
-}
 function normalizeFromOptions(raw, options) {
   const k = normUserKey(raw);
   if (!k) return "";
@@ -316,163 +491,38 @@ function normalizeFromOptions(raw, options) {
 }
 
 /* =========================
-   PET ITEM OPTIONS + endpoint
+   Reforge options + endpoint
 ========================= */
-const PET_ITEM_LABELS = [
-  "All Skills Exp Boost",
-  "All Skills Exp Super-Boost",
-  "Antique Remedies",
-  "Bejeweled Collar",
-  "Big Teeth",
-  "Bigger Teeth",
-  "Bingo Booster",
-  "Brown Bandana",
-  "Bubblegum",
-  "Burnt Texts",
-  "Combat Exp Boost",
-  "Cretan Urn",
-  "Crochet Tiger Plushie",
-  "Dead Cat Food",
-  "Dwarf Turtle Shelmet",
-  "Edible Seaweed",
-  "Eerie Toy",
-  "Eerie Treat",
-  "Exp Share",
-  "Exp Share Core",
-  "Fake Neuroscience Degree",
-  "Farming Exp Boost",
-  "Fishing Exp Boost",
-  "Flying Pig",
-  "Foraging Exp Boost",
-  "Four-Eyed Fish",
-  "Frog Treat",
-  "Gold Claws",
-  "Grandma's Knitting Needle",
-  "Green Bandana",
-  "Guardian Lucky Claw",
-  "Hardened Scales",
-  "Hephaestus Plushie",
-  "Hephaestus Relic",
-  "Hephaestus Remedies",
-  "Hephaestus Shelmet",
-  "Hephaestus Souvenir",
-  "Hephaestus Urn",
-  "Iron Claws",
-  "Jerry 3D Glasses",
-  "Lucky Clover",
-  "Mining Exp Boost",
-  "Minos Relic",
-  "Party Hat",
-  "Quick Claw",
-  "Radioactive Vial",
-  "Reaper Gem",
-  "Reinforced Scales",
-  "Saddle",
-  "Serrated Claws",
-  "Sharpened Claws",
-  "Simple Carrot Candy",
-  "Spooky Cupcake",
-  "Textbook",
-  "Tier Boost",
-  "Tier Boost Core",
-  "Titanium Minecart",
-  "Vampire Fang",
-  "Washed-up Souvenir",
-  "Yellow Bandana",
-];
-const PETITEM_OPTIONS = listToOptions(PET_ITEM_LABELS);
+const REFORGE_OPTIONS = getReforgeList();
 
-app.get("/api/petitems", (req, res) => {
+app.get("/api/upgrades", (req, res) => {
+  res.json({ items: UPGRADE_DEFS.map((d) => ({ key: d.key, label: d.label, max: d.max })) });
+});
+
+app.get("/api/reforges", (req, res) => {
   const q = normKey(req.query.q || "");
   const limit = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
-  const items = !q
-    ? PETITEM_OPTIONS
-    : PETITEM_OPTIONS.filter((x) => normKey(x.label).includes(q));
+  const items = !q ? REFORGE_OPTIONS : REFORGE_OPTIONS.filter((x) => normKey(x.label).includes(q));
   res.json({ items: items.slice(0, limit) });
 });
 
 /* =========================
-   Cosmetics options (your lists kept)
+   Cosmetic catalogs (cosmetics.js): observed in signatures + data/cosmetics.json
 ========================= */
-const DYE_LABELS = [
-  "Aquamarine Dye","Archfiend Dye","Aurora Dye","Bingo Blue Dye","Black Ice Dye","Bone Dye","Brick Red Dye",
-  "Byzantium Dye","Carmine Dye","Celadon Dye","Celeste Dye","Chocolate Dye","Copper Dye","Cyclamen Dye",
-  "Dark Purple Dye","Dung Dye","Emerald Dye","Flame Dye","Fossil Dye","Frog Dye","Frostbitten Dye",
-  "Hellebore Dye","Holly Dye","Iceberg Dye","Jade Dye","Kingfisher Dye","Lava Dye","Livid Dye","Lucky Dye",
-  "Mango Dye","Marine Dye","Matcha Dye","Midnight Dye","Mocha Dye","Mythological Dye","Nadeshiko Dye","Necron Dye",
-  "Nyanza Dye","Oasis Dye","Ocean Dye","Pastel Sky Dye","Pearlescent Dye","Pelt Dye","Periwinkle Dye","Portal Dye",
-  "Pure Black Dye","Pure Blue Dye","Pure White Dye","Pure Yellow Dye","Red Tulip Dye","Rose Dye","Snowflake Dye",
-  "Sunflower Dye","Sunset Dye","Tentacle Dye","Warden Dye","Wild Strawberry Dye"
-];
-const SKIN_LABELS = [
-  "Ablaze Skin","Admiral Skin","Baby Hydra Skin","Baby Skin","Black Widow Skin","Bloom Skin",
-  "Blue Oni Reaper Mask Skin","Caduceus Mender Skin","Celestial Goldor's Helmet Skin",
-  "Celestial Maxor's Helmet Skin","Celestial Necron's Helmet Skin","Celestial Storm's Helmet Skin",
-  "Celestial Wither Goggles Skin","Corrupt Wither Goggles Helmet Skin","Crimson Skin",
-  "Cyberpunk Wither Goggles Skin","Deep Sea Skin","Diamond Skin","Ender Knight Skin","Frost Knight Skin",
-  "Frozen Diver Skin","Gemstone Divan Helmet Skin","Genie Skin","Golden Skin","Great Shark Magma Lord Skin",
-  "Harvester Helmet Skin","Hero Skin","Ice Hydra Skin","Iceberg Skin","Icicle Skin","Jester Bonzo's Mask Skin",
-  "Leaf Skin","Lunar Rabbit Hat Skin","Mauve Skin","Meteor Magma Lord Helmet Skin","Oni Reaper Mask Skin",
-  "Paladin Skin","Panda Spirit Skin","Puffer Fish Skin","Puppy Skin","Rabbit Onesie Jerry Skin",
-  "Red Oni Reaper Mask Skin","Redback Skin","Reinforced Skin","Sandstorm Cat Skin","Sentinel Warden Skin",
-  "Shimmer Skin","Sly Fox Skin","Smoldering Ember Skin","Snowglobe Skin","Spirit Skin","Starknight Skin",
-  "Thief Skin","True Warden Skin"
-];
-const PET_SKIN_LABELS = ["Anubis Golden Dragon Skin","Ancient Golden Dragon Skin","Super Plushie Ender Dragon Skin",
-  "Pastel Ender Dragon Skin","Undead Ender Dragon Skin","Neon Blue Ender Dragon Skin",
-  "Neon Red Ender Dragon Skin","Neon Green Ender Dragon Skin","Neon Purple Ender Dragon Skin",
-  "Neon Yellow Ender Dragon Skin","Neon Orange Ender Dragon Skin","Baby Blue Ender Dragon Skin",
-  "Baby Red Ender Dragon Skin","Baby Green Ender Dragon Skin","Baby Purple Ender Dragon Skin",
-  "Baby Yellow Ender Dragon Skin","Baby Orange Ender Dragon Skin",
-  "Blue Whale Plushie Skin","Tiger Plushie Skin","Elephant Plushie Skin","Pig Plushie Skin","Bee Plushie Skin",
-  "Cow Plushie Skin","Chicken Plushie Skin","Dog Plushie Skin","Cat Plushie Skin","Sheep Plushie Skin",
-  "Pink Plushie Megalodon Skin","Plushie Tyrannosaurus Skin","Dark Blue Plushie Elephant Skin",
-  "Purple Plushie Elephant Skin","Teal Plushie Elephant Skin","White Plushie Elephant Skin",
-  "Onyx Plush Baby Yeti Skin",
-  "Golden Dragon Level 1-200 Variants","Safari Elephant Skin","Catgirl Black Cat Skin","Monster Sheep Skin",
-  "Gummy Worm Scatha Skin","Cute Jellyfish Skin","Shell Shulked Turtle Skin","Spirit Orca Blue Whale Skin",
-  "Snow Crow Skin","Seasonal Griffin Skin",
-  "Molten Glacite Golem Skin","Cavern Glacite Golem Skin","Seagull Phoenix Skin","Flamingo Phoenix Skin",
-  "Gateway Endermite Skin","Cloud Mammoth Skin","Void Mammoth Skin","Genie Baby Goblin Skin","Jinn Goblin Skin",
-  "Red Panda Ocelot Skin","Panther Ocelot Skin","Bamboo Giraffe Skin","Cherry Giraffe Skin","Warped Giraffe Skin",
-  "Galaxy Parrot Skin","Buccaneer Parrot Skin","Toucan Parrot Skin","Gold Macaw Parrot Skin",
-  "Blue Chick Chicken Skin","Black Chick Chicken Skin","Pink Chick Chicken Skin","Turkey Chicken Skin",
-  "Rubber Chicken Chicken Skin","Banana Slug Skin","Cake Snail Skin","Lion Tamarin Monkey Skin","Lemur Monkey Skin",
-  "Golden Monkey Skin","Melting Snowman Skin","Ice Golem Snowman Skin","Silbrrrfish Silverfish Skin",
-  "Fossil T-Rex Skin","Baby Blue T-Rex Skin","Magma T-Rex Skin","Toxic T-Rex Skin","Jungle T-Rex Skin",
-  "Glacial Hedgehog Skin","Baby Emperor Penguin Skin","Field Mouse Rat Skin","Ninja Rat Skin","PiRate Rat Skin",
-  "Rat-stronaut Rat Skin","SecRat Service Rat Skin","SecuRaty Guard Rat Skin","Squeakheart Rat Skin",
-  "Despair Enderman Skin","Xenon Enderman Skin","Neon Enderman Skin","Nebula Enderman Skin","Dark Star Enderman Skin",
-  "Despair Wither Skeleton Skin","Dark Wither Skeleton Skin","Candy Slime Spirit Skin","Fairy Slime Spirit Skin",
-  "Elemental Water Spirit Skin","Elemental Fire Spirit Skin","Elemental Earth Spirit Skin","Elemental Air Spirit Skin",
-  "Mummy Jerry Skin","Handsome Jerry Skin","Leprechaun Jerry Skin","Red Elf Jerry Skin","Green Elf Jerry Skin",
-  "Fenrir Wolf Skin","Husky Wolf Skin","Dark Wolf Skin","Hellhound Wolf Skin","Skeleton Dog Wolf Skin",
-  "Loafed Tiger Skin","Golden Tiger Skin","Neon Tiger Skin","Saber-Tooth Tiger Skin",
-  "Loafed Black Cat Skin","Cardboard Box Black Cat Skin","Armaron Armadillo Skin","Enchanted Armadillo Skin",
-  "Seafoam Armadillo Skin","Glacial Armadillo Skin","Blizzard Bal Skin","Inferno Bal Skin",
-  "Black Lion Skin","White Lion Skin","Moonbloom Mooshroom Cow Skin","Moocelium Mooshroom Cow Skin",
-  "Hermit Baked Beans Ammonite Skin","Hermit Paua Shell Ammonite Skin","Hermit Sand Castle Ammonite Skin",
-  "Hermit Beach Ball Ammonite Skin","Hermit Graphite Ammonite Skin",
-  "Midnight Dolphin Skin","Snubfin Dolphin Skin","Green Snubfin Dolphin Skin","Red Snubfin Dolphin Skin",
-  "Purple Snubfin Dolphin Skin",
-  "Harlequin Flying Fish Skin","Chromari Squid Skin","Glow Squid Skin","Real Grandma Wolf Skin","End Golem Skin",
-  "Miner Mole Skin","Choco Magma Cube Skin","Pot O' Gold Rock Skin","Candy Cane Rock Skin","Ice Rock Skin",
-  "Black Widow Spider Skin","Peacock Spider Skin","Pink Tarantula Skin","Greenbottle Tarantula Skin",
-  "Cosmic Blue Whale Skin","Megalodon Shark Skin","Tiger Shark Skin","Great White Shark Skin","Whale Shark Skin",
-  "Neon Blue Megalodon Skin","Baby Megalodon Skin","Chroma Sheep Skin","White Wooly Sheep Skin","Black Wooly Sheep Skin",
-  "Chromatic Crush Sheep Skin","Purple Crushed Sheep Skin","Blue Crush Sheep Skin",
-  "Luminescent Jellyfish Skin","RGBee Bee Skin","Loyalty Kuudra Skin",
-  "Reindrake Griffin Skin","Aurora Reindeer Skin","Red Nose Reindeer Skin","Rudolph Reindeer Skin",
-  "Krampus Reindeer Skin","Jingle Bell Reindeer Skin","Peafowl Griffin Skin",
-  "Baby Ghast","Baby Magma Cube","Baby Slime","Baby Silverfish","Baby Spider","Baby Cave Spider","Baby Zombie",
-  "Baby Skeleton","Baby Creeper","Baby Enderman","Baby Bee","Baby Chicken","Baby Cow","Baby Pig","Baby Sheep",
-  "Baby Rabbit","Baby Ocelot","Baby Wolf","Baby Parrot","Baby Horse","Baby Squid","Baby Bat","Baby Jerry",
-  "Baby Wither Skeleton"
-];
+const COSMETICS_REFRESH_MS = Math.max(60_000, Number(process.env.COSMETICS_REFRESH_MS || 10 * 60 * 1000));
 
-const DYE_OPTIONS = listToOptions(DYE_LABELS);
-const SKIN_OPTIONS = listToOptions(SKIN_LABELS);
-const PETSKIN_OPTIONS = listToOptions(PET_SKIN_LABELS);
+async function refreshCosmetics() {
+  try {
+    const counts = await refreshObservedCosmetics(pool);
+    console.log(
+      `🎨 Cosmetics refreshed (${Object.entries(counts).map(([k, n]) => `${k}: ${n}`).join(", ")})`
+    );
+  } catch (e) {
+    console.error("⚠️ Cosmetics refresh failed:", e.message);
+  }
+}
+refreshCosmetics();
+setInterval(refreshCosmetics, COSMETICS_REFRESH_MS).unref();
 
 /* =========================
    Filter verification (strict)
@@ -488,6 +538,16 @@ function applyVerifiedFiltersOrNull(sig, filters) {
     userPetSkin,
     userPetLevel,
     userPetItem,
+    userReforge,
+    userRecomb,
+    userGemSlots,
+    userFullyGemmed,
+    userGemQuality,
+    userScrolls,
+    userPowerScroll,
+    userUpgrades,
+    userNoCandy,
+    userNoTierBoost,
   } = filters;
 
   if (userWI && !sigWI(sig)) return { ok: false, unverifiable: false };
@@ -502,6 +562,38 @@ function applyVerifiedFiltersOrNull(sig, filters) {
     return { ok: false, unverifiable: false };
   }
 
+  if (userReforge && userReforge !== "none" && sigReforge(sig) !== userReforge) return { ok: false, unverifiable: false };
+  if (userRecomb && !sigRecomb(sig)) return { ok: false, unverifiable: false };
+
+  // Candied / tier-boosted pets sell at a discount; let the user keep them out of the pool
+  if (userNoCandy && sigPetCandy(sig) > 0) return { ok: false, unverifiable: false };
+  if (userNoTierBoost && sigTierBoosted(sig)) return { ok: false, unverifiable: false };
+
+  if (userScrolls?.length) {
+    const have = sigScrolls(sig);
+    if (!userScrolls.every((x) => have.includes(x))) return { ok: false, unverifiable: false };
+  }
+  if (userPowerScroll && sigPowerScroll(sig) !== userPowerScroll) return { ok: false, unverifiable: false };
+
+  // Applied upgrades: requested count is a minimum (fpb:5 = all five fuming books)
+  if (userUpgrades?.size) {
+    const have = sigUpgrades(sig);
+    for (const [key, min] of userUpgrades.entries()) {
+      if ((have.get(key) || 0) < min) return { ok: false, unverifiable: false };
+    }
+  }
+
+  // Gemstones: slot count is a minimum, quality means "every socketed gem at least this",
+  // fully gemmed means every slot data/gem-slots.json lists for the item is filled
+  if (userGemSlots > 0 || userFullyGemmed || userGemQuality > 0) {
+    const g = sigGemInfo(sig);
+    if (userGemSlots > 0 && g.gemSlots < userGemSlots) return { ok: false, unverifiable: false };
+    if (userFullyGemmed && !g.fullyGemmed) return { ok: false, unverifiable: false };
+    if (userGemQuality > 0 && (!g.gemCount || g.gemMinQuality < userGemQuality)) {
+      return { ok: false, unverifiable: false };
+    }
+  }
+
   return { ok: true, unverifiable: false };
 }
 
@@ -518,6 +610,18 @@ function strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters }) {
     (!!filters?.userPetSkin && filters.userPetSkin !== "none") ||
     (Number(filters?.userPetLevel || 0) > 0) ||
     (!!filters?.userPetItem && filters.userPetItem !== "none") ||
+    (!!filters?.userReforge && filters.userReforge !== "none") ||
+    !!filters?.userRecomb ||
+    (Number(filters?.userHpb || 0) > 0) ||
+    (Number(filters?.userGemSlots || 0) > 0) ||
+    !!filters?.userFullyGemmed ||
+    (Number(filters?.userGemQuality || 0) > 0) ||
+    (filters?.userAttributes?.size || 0) > 0 ||
+    (filters?.userScrolls?.length || 0) > 0 ||
+    !!filters?.userPowerScroll ||
+    (filters?.userUpgrades?.size || 0) > 0 ||
+    !!filters?.userNoCandy ||
+    !!filters?.userNoTierBoost ||
     !!filters?.userWI ||
     !!filters?.userRarity;
 
@@ -541,6 +645,14 @@ function strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters }) {
     else if (diff >= 2) return "NONE";
   }
 
+  // hot potato books: same 0/1/>=2 rule
+  const inHpb = Number(filters?.userHpb) || 0;
+  if (inHpb > 0) {
+    const diff = Math.abs(sigHpb(sig) - inHpb);
+    if (diff === 1) anyPartial = true;
+    else if (diff >= 2) return "NONE";
+  }
+
   // enchants: diff 0 exact, diff 1 partial, diff >=2 none
   const saleEnchants = sigEnchantMap(sig);
 
@@ -556,6 +668,19 @@ function strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters }) {
     else if (lvlDiff >= 2) return "NONE";
   }
 
+  // attribute shards: same rule as enchants
+  if (filters?.userAttributes?.size) {
+    const saleAttrs = sigAttributeShards(sig);
+    for (const [key, inL] of filters.userAttributes.entries()) {
+      const saleLvl = Number(saleAttrs.get(key) || 0);
+      if (!saleLvl) return "NONE";
+
+      const lvlDiff = Math.abs(saleLvl - inL);
+      if (lvlDiff === 1) anyPartial = true;
+      else if (lvlDiff >= 2) return "NONE";
+    }
+  }
+
   return anyPartial ? "PARTIAL" : "PERFECT";
 }
 
@@ -582,6 +707,63 @@ function starsScore(inputStars10, saleStars10) {
   return null; // diff>=2 should never be scored (strict already dropped)
 }
 
+// Reforge / recomb / hot potato books / gemstones / scrolls / upgrades
+// (only scored when the user asked for them)
+function upgradeScores(sig, filters) {
+  const out = [];
+
+  if (filters?.userRecomb && sigRecomb(sig)) {
+    out.push({ tier: "AA", add: tierBonusForTier("AA"), label: "Recombobulated" });
+  }
+
+  if (filters?.userReforge && filters.userReforge !== "none" && sigReforge(sig) === filters.userReforge) {
+    const name = sigReforge(sig).replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+    out.push({ tier: "A", add: tierBonusForTier("A"), label: `Reforge ${name}` });
+  }
+
+  const inHpb = Number(filters?.userHpb) || 0;
+  if (inHpb > 0) {
+    const saHpb = sigHpb(sig);
+    const diff = Math.abs(saHpb - inHpb);
+    if (diff === 0) out.push({ tier: "A", add: tierBonusForTier("A"), label: `HPB ${inHpb} → ${saHpb}` });
+    else if (diff === 1) out.push({ tier: "PARTIAL", add: tierBonusForTier("PARTIAL"), label: `HPB ${inHpb} → ${saHpb}` });
+  }
+
+  if (filters?.userGemSlots > 0 || filters?.userFullyGemmed || filters?.userGemQuality > 0) {
+    const g = sigGemInfo(sig);
+    if (filters.userFullyGemmed && g.fullyGemmed) {
+      out.push({ tier: "AA", add: tierBonusForTier("AA"), label: `Fully gemmed (${g.gemCount}/${g.gemSlots})` });
+    }
+    if (filters.userGemQuality > 0 && g.gemCount && g.gemMinQuality >= filters.userGemQuality) {
+      const q = GEM_QUALITIES[g.gemMinQuality - 1];
+      out.push({ tier: "A", add: tierBonusForTier("A"), label: `Gems ${q[0].toUpperCase()}${q.slice(1)}+` });
+    }
+    if (filters.userGemSlots > 0 && g.gemSlots >= filters.userGemSlots) {
+      out.push({ tier: "B", add: tierBonusForTier("B"), label: `Gem slots ${filters.userGemSlots} → ${g.gemSlots}` });
+    }
+  }
+
+  // scrolls / upgrades are hard filters; still list them as matched factors
+  for (const x of filters?.userScrolls || []) {
+    const name = x.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+    out.push({ tier: "A", add: tierBonusForTier("A"), label: `${name} Scroll` });
+  }
+  if (filters?.userPowerScroll) {
+    const name = filters.userPowerScroll.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+    out.push({ tier: "B", add: tierBonusForTier("B"), label: `${name} Power Scroll` });
+  }
+  if (filters?.userUpgrades?.size) {
+    const have = sigUpgrades(sig);
+    for (const [key, min] of filters.userUpgrades.entries()) {
+      const def = UPGRADE_DEFS.find((d) => d.key === key);
+      const n = have.get(key) || 0;
+      out.push({ tier: "A", add: tierBonusForTier("A"), label: def.max > 1 ? `${def.label} ${n}/${def.max}` : def.label });
+    }
+  }
+
+  return out;
+}
+
 function scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters }) {
   const vf = applyVerifiedFiltersOrNull(sig, filters);
   if (!vf.ok) return null;
@@ -599,6 +781,11 @@ function scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters }) {
     matched.push({ enchant: { tier: st.tier, label: st.label }, add: st.add });
   }
 
+  for (const up of upgradeScores(sig, filters)) {
+    score += up.add;
+    matched.push({ enchant: { tier: up.tier, label: up.label }, add: up.add });
+  }
+
   const saleEnchants = sigEnchantMap(sig);
 
   for (const [nameKey, inputLvlRaw] of userEnchantsMap.entries()) {
@@ -631,13 +818,575 @@ function scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters }) {
     matched.push({ enchant: { tier: tierLabel, label: displayEnchant(nameKey, inL) }, add });
   }
 
+  // Attribute shards carry most of a Kuudra piece's value: weigh them like AA enchants
+  if (filters?.userAttributes?.size) {
+    const saleAttrs = sigAttributeShards(sig);
+    for (const [key, inL] of filters.userAttributes.entries()) {
+      const saleLvl = Number(saleAttrs.get(key) || 0);
+      const diff = Math.abs(saleLvl - inL);
+      if (!saleLvl || diff >= 2) continue; // safety; strict should have dropped
+
+      const tierLabel = diff === 0 ? "AA" : "PARTIAL";
+      const add = (tierBonusForTier(tierLabel) + (diff === 0 ? 1.2 : 0)) * (1 + Math.min(9, inL - 1) * 0.08);
+      score += add;
+      matched.push({ enchant: { tier: tierLabel, label: displayAttribute(key, inL) }, add });
+    }
+  }
+
   matched.sort((a, b) => (b.add ?? 0) - (a.add ?? 0));
   return { score, matched, saleEnchants, unverifiable: vf.unverifiable };
 }
 
+/* =========================
+   Match query (item modifiers shared by /api/recommend and /api/history)
+========================= */
+function parseMatchQuery(query) {
+  const inputStars10 = Math.max(
+    0,
+    Math.min(10, Number(query.stars10 ?? query.stars ?? 0))
+  );
+
+  const userRarity = normUserKey(query.rarity || "");
+  const userWI =
+    String(query.wi ?? "") === "1" || String(query.wi ?? "") === "true";
+
+  const userDye = normalizeFromOptions(query.dye, cosmeticOptions("dyes"));
+  const userSkin = normalizeFromOptions(query.skin, cosmeticOptions("skins"));
+  const userPetSkin = normalizeFromOptions(
+    query.petskin ?? query.petSkin,
+    cosmeticOptions("petskins")
+  );
+  const userPetLevel = parseUserPetLevel(query.petlvl ?? query.petLevel);
+  const userPetItem = normalizeFromOptions(
+    query.petitem ?? query.petItem,
+    cosmeticOptions("petitems")
+  );
+  const userReforge = normalizeFromOptions(query.reforge, REFORGE_OPTIONS);
+  const userRecomb =
+    String(query.recomb ?? "") === "1" || String(query.recomb ?? "") === "true";
+  const userHpb = parseUserHpb(query.hpb);
+  const userGemSlots = parseUserGemSlots(query.gemslots ?? query.gemSlots);
+  const userFullyGemmed =
+    String(query.gemmed ?? "") === "1" || String(query.gemmed ?? "") === "true";
+  const userGemQuality = parseUserGemQuality(query.gemq ?? query.gemQuality);
+  const userAttributes = parseAttributeList(query.attributes || "");
+  const userScrolls = parseUserScrolls(query.scrolls);
+  const userPowerScroll = parseUserPowerScroll(query.powerscroll ?? query.powerScroll);
+  const userUpgrades = parseUpgradeList(query.upgrades || "");
+  const userNoCandy =
+    String(query.nocandy ?? "") === "1" || String(query.nocandy ?? "") === "true";
+  const userNoTierBoost =
+    String(query.notierboost ?? "") === "1" || String(query.notierboost ?? "") === "true";
+
+  const userEnchantsMap = parseEnchantList(query.enchants || "");
+  const filters = {
+    userWI,
+    userRarity,
+    userDye,
+    userSkin,
+    userPetSkin,
+    userPetLevel,
+    userPetItem,
+    userReforge,
+    userRecomb,
+    userHpb,
+    userGemSlots,
+    userFullyGemmed,
+    userGemQuality,
+    userAttributes,
+    userScrolls,
+    userPowerScroll,
+    userUpgrades,
+    userNoCandy,
+    userNoTierBoost,
+  };
+
+  return { inputStars10, userEnchantsMap, filters };
+}
+
+/* =========================
+   Outlier rejection (/api/recommend price pool)
+   - outliers=mad (default): modified z-score |x - median| / (1.4826 * MAD) above 3.5
+   - outliers=iqr: outside Q1 - 1.5*IQR .. Q3 + 1.5*IQR
+   - outliers=off: keep everything
+   When the spread is 0 (most sales at one price) both fall back to a ratio check:
+   more than OUTLIER_RATIO x above or below the median.
+   Needs at least 3 prices and never rejects half the pool or more (no consensus to trust).
+========================= */
+const OUTLIER_METHODS = ["mad", "iqr", "off"];
+const OUTLIER_MAD_Z = 3.5;
+const OUTLIER_IQR_K = 1.5;
+const OUTLIER_RATIO = 3;
+
+function parseOutlierMethod(raw) {
+  const m = String(raw ?? "").trim().toLowerCase();
+  return OUTLIER_METHODS.includes(m) ? m : "mad";
+}
+
+/**
+ * rows: [{ final_price, ... }]. Returns { kept, rejected: [{ row, reason }] }.
+ */
+function rejectOutliers(rows, method = "mad") {
+  const none = { kept: rows, rejected: [] };
+  if (method === "off" || rows.length < 3) return none;
+
+  const prices = rows.map((r) => r.final_price);
+  const sorted = prices.slice().sort((a, b) => a - b);
+  const med = median(prices);
+
+  let test;
+  if (method === "iqr") {
+    const q1 = quantileSorted(sorted, 0.25);
+    const q3 = quantileSorted(sorted, 0.75);
+    const iqr = q3 - q1;
+    if (iqr > 0) {
+      const lo = q1 - OUTLIER_IQR_K * iqr;
+      const hi = q3 + OUTLIER_IQR_K * iqr;
+      test = (x) =>
+        x > hi
+          ? `above Q3 + ${OUTLIER_IQR_K}×IQR (${Math.round(hi)})`
+          : x < lo
+            ? `below Q1 - ${OUTLIER_IQR_K}×IQR (${Math.round(lo)})`
+            : null;
+    }
+  } else {
+    const mad = median(prices.map((x) => Math.abs(x - med)));
+    const scale = 1.4826 * mad;
+    if (scale > 0) {
+      test = (x) => {
+        const z = Math.abs(x - med) / scale;
+        if (z <= OUTLIER_MAD_Z) return null;
+        return `modified z-score ${z.toFixed(1)} > ${OUTLIER_MAD_Z} (${x > med ? "above" : "below"} median ${med})`;
+      };
+    }
+  }
+
+  if (!test) {
+    test = (x) =>
+      x > med * OUTLIER_RATIO
+        ? `over ${OUTLIER_RATIO}× the median (${med})`
+        : x * OUTLIER_RATIO < med
+          ? `under 1/${OUTLIER_RATIO} of the median (${med})`
+          : null;
+  }
+
+  const kept = [];
+  const rejected = [];
+  for (const row of rows) {
+    const reason = test(row.final_price);
+    if (reason) rejected.push({ row, reason });
+    else kept.push(row);
+  }
+
+  if (rejected.length * 2 >= rows.length) return none;
+  return { kept, rejected };
+}
+
+/* =========================
+   Confidence (/api/recommend)
+   Five factors in [0, 1], weighted into a 0-100 score:
+   - sample:     priced sales left after outlier rejection (10 = full marks)
+   - match:      PERFECT pool, and how much of the top 10 is PERFECT
+   - dispersion: robust spread (1.4826 * MAD) relative to the median; 50%+ scores 0
+   - recency:    median age of the pool, halving every CONFIDENCE_AGE_HALFLIFE_DAYS
+   - verified:   share of the pool on the current signature version (older ones may lack
+                 the tokens a filter needs and are only matched on what they do carry)
+========================= */
+const CONFIDENCE_WEIGHTS = { sample: 0.3, match: 0.2, dispersion: 0.2, recency: 0.15, verified: 0.15 };
+const CONFIDENCE_AGE_HALFLIFE_DAYS = 30;
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, Number.isFinite(x) ? x : 0));
+}
+
+function recommendationConfidence({ poolRows, top10, rejected, med, now }) {
+  const n = poolRows.length;
+  if (!n || !med) {
+    return {
+      score: 0,
+      level: "none",
+      factors: null,
+      explanation: ["No matching sales to base a price on."],
+    };
+  }
+
+  const explanation = [];
+  const pct = (x) => `${Math.round(x * 100)}%`;
+
+  const sample = clamp01(n / 10);
+  explanation.push(
+    n >= 10 ? `${n} sales in the price pool.` : `Only ${n} sale${n === 1 ? "" : "s"} in the price pool (10 is ideal).`
+  );
+  if (rejected.length) {
+    explanation.push(`${rejected.length} outlier${rejected.length === 1 ? "" : "s"} left out of the price.`);
+  }
+
+  const perfectInTop = top10.filter((x) => x.quality === "PERFECT").length;
+  const poolPerfect = poolRows[0].quality === "PERFECT";
+  const match = poolPerfect ? 0.5 + 0.5 * (perfectInTop / top10.length) : 0.35;
+  explanation.push(
+    poolPerfect
+      ? `${perfectInTop} of the ${top10.length} closest matches are PERFECT.`
+      : "No PERFECT matches; the price comes from PARTIAL matches (a star or enchant level off)."
+  );
+
+  const prices = poolRows.map((x) => x.final_price);
+  const spread =
+    n >= 3
+      ? (1.4826 * median(prices.map((x) => Math.abs(x - med)))) / med
+      : (Math.max(...prices) - Math.min(...prices)) / 2 / med;
+  const dispersion = clamp01(1 - spread / 0.5);
+  explanation.push(
+    spread <= 0.1
+      ? `Prices agree closely (±${pct(spread)} of the median).`
+      : spread <= 0.25
+        ? `Prices vary moderately (±${pct(spread)} of the median).`
+        : `Prices vary widely (±${pct(spread)} of the median).`
+  );
+
+  const ageDays = median(poolRows.map((x) => Math.max(0, now - x.ended_ts) / DAY_MS));
+  const recency = clamp01(Math.pow(0.5, ageDays / CONFIDENCE_AGE_HALFLIFE_DAYS));
+  const ageText = ageDays < 1 ? "under a day" : `${Math.round(ageDays)} day${Math.round(ageDays) === 1 ? "" : "s"}`;
+  explanation.push(
+    ageDays <= 14 ? `Pool sales are recent (median age ${ageText}).` : `Pool sales are dated (median age ${ageText}).`
+  );
+
+  const legacy = poolRows.filter((x) => x.unverifiable || signatureVersionOf(x.signature) < SIGNATURE_VERSION).length;
+  const verified = clamp01(1 - legacy / n);
+  explanation.push(
+    legacy
+      ? `${legacy} of ${n} pool sales ${legacy === 1 ? "has an older signature" : "have older signatures"}, ` +
+        "so newer filters couldn't be checked on them."
+      : "Every pool sale was checked against all filters."
+  );
+
+  const factors = { sample, match, dispersion, recency, verified };
+  const score = Math.round(
+    100 * Object.entries(CONFIDENCE_WEIGHTS).reduce((s, [k, w]) => s + w * factors[k], 0)
+  );
+
+  return {
+    score,
+    level: score >= 75 ? "high" : score >= 45 ? "medium" : "low",
+    factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+    explanation,
+  };
+}
+
+/* =========================
+   Recommended price (TOP 10 ALWAYS), shared by /api/recommend and the flip scan
+   - candidates: graded sales already sorted best-first ({ final_price, ended_ts, signature,
+     quality, weight, unverifiable })
+   - pick TOP 10, reject outliers (rejectOutliers), then
+     weighted median(perfect) else weighted median(partial); weights are the recency weights
+   - range is min/max of what's left
+========================= */
+function priceFromCandidates(candidates, { outlierMethod = "mad", now = Date.now() } = {}) {
+  const top10 = candidates.slice(0, 10);
+
+  const top10Perfect = top10.filter((x) => x.quality === "PERFECT");
+  const top10Partial = top10.filter((x) => x.quality === "PARTIAL");
+
+  const { kept: poolRows, rejected } = rejectOutliers(
+    top10Perfect.length ? top10Perfect : top10Partial,
+    outlierMethod
+  );
+  const pricePool = poolRows.map((x) => x.final_price);
+
+  const med = pricePool.length ? weightedMedian(pricePool, poolRows.map((x) => x.weight ?? 1)) : null;
+
+  return {
+    top10,
+    poolRows,
+    rejected,
+    pricePool,
+    med,
+    rangeLow: pricePool.length ? Math.min(...pricePool) : null,
+    rangeHigh: pricePool.length ? Math.max(...pricePool) : null,
+    trimmed: pricePool.length ? trimmedMean(pricePool) : null,
+    confidence: recommendationConfidence({ poolRows, top10, rejected, med, now }),
+  };
+}
+
+/* =========================
+   History window + recency weighting (/api/recommend)
+   - days=<1..365> lookback (default 120)
+   - halflife=<days> turns on exponential decay: a sale halflife days old counts half
+     (at least RECOMMEND_MIN_HALFLIFE_DAYS; shorter ones underflow every weight to 0)
+========================= */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMMEND_DEFAULT_DAYS = 120;
+const RECOMMEND_MAX_DAYS = 365;
+const RECOMMEND_MIN_HALFLIFE_DAYS = 0.5;
+
+function parseRecencyQuery(query, now) {
+  const rawDays = Math.trunc(Number(query.days ?? 0));
+  const days = rawDays >= 1 ? Math.min(RECOMMEND_MAX_DAYS, rawDays) : RECOMMEND_DEFAULT_DAYS;
+
+  const hl = Number(query.halflife ?? query.halfLife ?? 0);
+  const halflifeDays =
+    Number.isFinite(hl) && hl > 0
+      ? Math.max(RECOMMEND_MIN_HALFLIFE_DAYS, Math.min(RECOMMEND_MAX_DAYS, hl))
+      : 0;
+
+  return { days, since: now - days * DAY_MS, halflifeDays };
+}
+
+function recencyWeight(ts, now, halflifeDays) {
+  if (!halflifeDays) return 1;
+  const ageDays = Math.max(0, (now - ts) / DAY_MS);
+  return Math.pow(0.5, ageDays / halflifeDays);
+}
+
+const SOLD_ROWS_LIMIT = 50000;
+
+// Sold rows for one item since a timestamp, with the item_attributes pushdown applied.
+// Callers still grade every row with strictMatchQuality.
+async function querySoldRows(itemKey, since, match) {
+  const params = [itemKey, since];
+  const attrSql = attributeFilterSql(match, params);
+
+  const { rows } = await pool.query(
+    `
+    SELECT s.uuid, s.item_name, s.item_key, s.final_price, s.ended_ts, s.signature
+    FROM sales s
+    LEFT JOIN item_attributes ia ON ia.row_kind = 'sales' AND ia.uuid = s.uuid
+    WHERE s.item_key = $1
+      AND s.ended_ts >= $2
+      AND s.end_reason = 'sold'
+      ${attrSql ? `AND ${attrSql}` : ""}
+    ORDER BY s.ended_ts DESC
+    LIMIT ${SOLD_ROWS_LIMIT}
+    `,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Grade sold rows against the query and build the candidate objects /api/recommend prices from.
+ * Drops NONE matches; returns them best first (score x recency weight, then cheaper).
+ */
+function matchSoldCandidates(rows, match, { now, halflifeDays }) {
+  const { userEnchantsMap, inputStars10, filters } = match;
+  const candidates = [];
+
+  for (const r of rows) {
+    const price = Number(r.final_price || 0);
+    if (!Number.isFinite(price) || price <= 0) continue;
+
+    const sig = String(r.signature || "").trim();
+    if (!sig) continue; // sales should have sig
+
+    const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
+    if (q === "NONE") continue;
+
+    const sc = scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters });
+    if (!sc) continue;
+
+    const allEnchantsRaw = Array.from(sc.saleEnchants.entries()).map(([k, v]) => ({
+      tier: tierFor(k, v),
+      label: displayEnchant(k, v),
+    }));
+
+    candidates.push({
+      uuid: r.uuid,
+      item_name: stripStarGlyphs(r.item_name),
+      final_price: price,
+      ended_ts: Number(r.ended_ts) || 0,
+      signature: sig,
+
+      dstars: sigDungeonStars(sig),
+      mstars: sigMasterStars(sig),
+      stars10: sigStars10(sig),
+
+      wi: sigWI(sig),
+      dye: sigDye(sig),
+      skin: sigSkin(sig),
+      petskin: sigPetSkin(sig),
+      petLevel: sigPetLevel(sig),
+      petItem: sigPetItem(sig),
+      petCandy: sigPetCandy(sig),
+      petExp: sigPetExp(sig),
+      tierBoosted: sigTierBoosted(sig),
+      reforge: sigReforge(sig),
+      recomb: sigRecomb(sig),
+      hpb: sigHpb(sig),
+      gems: sigGemInfo(sig),
+      attributes: Array.from(sigAttributeShards(sig).entries()).map(([k, v]) => displayAttribute(k, v)),
+      scrolls: sigScrolls(sig),
+      upgrades: Object.fromEntries(sigUpgrades(sig)),
+
+      score: sc.score,
+      weight: recencyWeight(Number(r.ended_ts) || 0, now, halflifeDays),
+      matched: sc.matched,
+      allEnchants: sortEnchantsForDisplay(allEnchantsRaw),
+      unverifiable: sc.unverifiable,
+      quality: q,
+    });
+  }
+
+  // With a half-life, older sales rank lower (score x recency weight); without one weight is 1.
+  candidates.sort(
+    (a, b) => (b.score * b.weight - a.score * a.weight) || (a.final_price - b.final_price)
+  );
+  return candidates;
+}
+
+/* =========================
+   Live listings matching a query
+   - bin=true: BINs, cheapest first (price = asking price)
+   - bin=false: regular auctions, ending soonest first (price = highest bid, else starting bid)
+   Reads at most LIVE_ROWS_LIMIT rows in that order; truncated says the cap was hit (the
+   priciest BINs / latest-ending auctions were never looked at).
+   Shared by the LBIN lookup and /api/live/ladder.
+========================= */
+const LIVE_ROWS_LIMIT = 8000;
+
+async function matchLiveAuctions({ itemKey, itemInput, match, bin = true }) {
+  const { userEnchantsMap, inputStars10, filters } = match;
+
+  // Use DB time so LBIN doesn't break from clock skew or stale last_seen_ts.
+  const { rows: dbNowRows } = await pool.query(
+    `SELECT (EXTRACT(EPOCH FROM NOW()) * 1000)::bigint AS now_ms`
+  );
+  const dbNow = Number(dbNowRows?.[0]?.now_ms || 0);
+
+  // If end_ts is correct (you showed live_bin_end_future is populated),
+  // this is the most reliable "is still live" filter.
+  const liveParams = [itemKey, dbNow, itemInput, bin];
+  const liveAttrSql = attributeFilterSql(match, liveParams);
+
+  const { rows: liveRows } = await pool.query(
+    `
+    SELECT a.uuid, a.item_name, a.item_key, a.bin, a.start_ts, a.end_ts, a.starting_bid, a.highest_bid,
+           a.tier, a.signature, a.item_lore, a.item_bytes, a.last_seen_ts
+    FROM auctions a
+    LEFT JOIN item_attributes ia ON ia.row_kind = 'auctions' AND ia.uuid = a.uuid
+    WHERE a.is_ended = false
+      AND a.bin = $4
+      AND a.end_ts > $2
+      AND (
+        a.item_key = $1
+        OR a.item_key IS NULL
+        OR a.item_name ILIKE ('%' || $3 || '%')
+      )
+      ${liveAttrSql ? `AND ${liveAttrSql}` : ""}
+    ORDER BY ${bin ? "a.starting_bid ASC" : "a.end_ts ASC"}
+    LIMIT ${LIVE_ROWS_LIMIT}
+    `,
+    liveParams
+  );
+
+  const out = [];
+
+  for (const a of liveRows) {
+    const highestBid = Number(a.highest_bid || 0);
+    const price = bin || highestBid <= 0 ? Number(a.starting_bid || 0) : highestBid;
+    if (!Number.isFinite(price) || price <= 0) continue;
+
+    // JS-side canonical verification (handles NULL/dirty item_key rows)
+    const aKey = canonicalItemKey(a.item_key || a.item_name || "");
+    if (aKey !== itemKey) continue;
+
+    let sig = String(a.signature || "").trim();
+    if (!sig) {
+      sig = String(
+        (await buildSignature({
+          itemName: a.item_name || "",
+          lore: a.item_lore || "",
+          tier: a.tier || "",
+          itemBytes: a.item_bytes || "",
+        })) || ""
+      ).trim();
+    }
+
+    // If signature still missing, build a stars/tier-only fallback signature from the NAME.
+    if (!sig) sig = buildLbinFallbackSignature({ itemName: a.item_name || "", tier: a.tier || "" });
+    if (!sig) continue;
+
+    const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
+    if (q === "NONE") continue;
+
+    const sc = scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters });
+    if (!sc) continue;
+
+    // Fix false [M#] tags in LIVE rows: trust glyph-derived stars when present.
+    const derived = deriveStarsFromName(a.item_name || "");
+    const shownDstars = derived ? derived.dstars : sigDungeonStars(sig);
+    const shownMstars = derived ? derived.mstars : sigMasterStars(sig);
+    const shownStars10 = Math.max(0, Math.min(10, (shownDstars || 0) + (shownMstars || 0)));
+
+    const allEnchantsRaw = Array.from(sc.saleEnchants.entries()).map(([k, v]) => ({
+      tier: tierFor(k, v),
+      label: displayEnchant(k, v),
+    }));
+
+    const cand = {
+      uuid: a.uuid,
+      item_name: stripStarGlyphs(a.item_name),
+      price,
+      bin,
+      signature: sig,
+
+      dstars: shownDstars,
+      mstars: shownMstars,
+      stars10: shownStars10,
+
+      petItem: sigPetItem(sig),
+      petCandy: sigPetCandy(sig),
+      tierBoosted: sigTierBoosted(sig),
+      reforge: sigReforge(sig),
+      recomb: sigRecomb(sig),
+      hpb: sigHpb(sig),
+      gems: sigGemInfo(sig),
+      attributes: Array.from(sigAttributeShards(sig).entries()).map(([k, v]) => displayAttribute(k, v)),
+      scrolls: sigScrolls(sig),
+      upgrades: Object.fromEntries(sigUpgrades(sig)),
+      score: sc.score,
+      matched: sc.matched,
+      allEnchants: sortEnchantsForDisplay(allEnchantsRaw),
+      quality: q,
+      end_ts: Number(a.end_ts) || null,
+    };
+    if (!bin) {
+      cand.starting_bid = Number(a.starting_bid) || 0;
+      cand.highest_bid = highestBid;
+      cand.time_left_ms = Math.max(0, (Number(a.end_ts) || 0) - dbNow);
+    }
+
+    out.push(cand);
+  }
+
+  return { candidates: out, truncated: liveRows.length >= LIVE_ROWS_LIMIT };
+}
+
+/* =========================
+   LIVE BIN (LBIN)
+   - cheapest PERFECT else cheapest PARTIAL
+   Shared by /api/recommend and the /api/lbin/stream SSE feed.
+========================= */
+async function findLiveBest({ itemKey, itemInput, match }) {
+  let bestPerfect = null;
+  let bestPartial = null;
+
+  const { candidates } = await matchLiveAuctions({ itemKey, itemInput, match, bin: true });
+  for (const cand of candidates) {
+    if (cand.quality === "PERFECT") {
+      if (!bestPerfect || cand.price < bestPerfect.price) bestPerfect = cand;
+    } else {
+      if (!bestPartial || cand.price < bestPartial.price) bestPartial = cand;
+    }
+  }
+
+  return bestPerfect || bestPartial || null;
+}
+
 /* =========================
    /api/recommend
 ========================= */
+const CHART_POINTS_LIMIT = 500;
+
 app.get("/api/recommend", async (req, res) => {
   try {
     const now = Date.now();
@@ -658,259 +1407,1161 @@ app.get("/api/recommend", async (req, res) => {
       });
     }
 
-    const inputStars10 = Math.max(
-      0,
-      Math.min(10, Number(req.query.stars10 ?? req.query.stars ?? 0))
-    );
+    const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(req.query);
+    const wantUnsold =
+      String(req.query.unsold ?? "") === "1" || String(req.query.unsold ?? "") === "true";
+    const wantPoints =
+      String(req.query.points ?? "") === "1" || String(req.query.points ?? "") === "true";
 
-    const userRarity = normUserKey(req.query.rarity || "");
-    const userWI =
-      String(req.query.wi ?? "") === "1" || String(req.query.wi ?? "") === "true";
+    /* =========================
+       HISTORICAL SALES (candidates)
+    ========================= */
+    const { days, since, halflifeDays } = parseRecencyQuery(req.query, now);
+    const outlierMethod = parseOutlierMethod(req.query.outliers);
 
-    const userDye = normalizeFromOptions(req.query.dye, DYE_OPTIONS);
-    const userSkin = normalizeFromOptions(req.query.skin, SKIN_OPTIONS);
-    const userPetSkin = normalizeFromOptions(
-      req.query.petskin ?? req.query.petSkin,
-      PETSKIN_OPTIONS
-    );
-    const userPetLevel = parseUserPetLevel(req.query.petlvl ?? req.query.petLevel);
-    const userPetItem = normalizeFromOptions(
-      req.query.petitem ?? req.query.petItem,
-      PETITEM_OPTIONS
-    );
+    // Star / rarity / cosmetic / enchant filters run in SQL against item_attributes;
+    // strictMatchQuality below still grades what comes back.
+    const match = { userEnchantsMap, inputStars10, filters };
+    const rows = await querySoldRows(itemKey, since, match);
 
-    const userEnchantsMap = parseEnchantList(req.query.enchants || "");
-    const filters = {
-      userWI,
-      userRarity,
-      userDye,
-      userSkin,
-      userPetSkin,
-      userPetLevel,
-      userPetItem,
-    };
+    const candidates = matchSoldCandidates(rows, match, { now, halflifeDays });
+    const top3 = candidates.slice(0, 3);
+
+    const {
+      top10,
+      poolRows,
+      rejected,
+      pricePool,
+      med,
+      rangeLow,
+      rangeHigh,
+      trimmed,
+      confidence,
+    } = priceFromCandidates(candidates, { outlierMethod, now });
+    for (const { row, reason } of rejected) row.outlier = reason;
 
     /* =========================
-       HISTORICAL SALES (candidates)
+       Chart points (optional, ?points=1)
+       - every matched sale in the window, newest CHART_POINTS_LIMIT, oldest first
     ========================= */
-    const since = now - 120 * 24 * 60 * 60 * 1000;
+    const points = wantPoints
+      ? candidates
+          .slice()
+          .sort((a, b) => b.ended_ts - a.ended_ts)
+          .slice(0, CHART_POINTS_LIMIT)
+          .reverse()
+          .map((c) => ({
+            uuid: c.uuid,
+            item_name: c.item_name,
+            ts: c.ended_ts,
+            price: c.final_price,
+            quality: c.quality,
+            dstars: c.dstars,
+            mstars: c.mstars,
+            outlier: c.outlier || null,
+            allEnchants: c.allEnchants.slice(0, 10),
+          }))
+      : null;
 
-    const { rows } = await pool.query(
-      `
-      SELECT uuid, item_name, item_key, final_price, ended_ts, signature
-      FROM sales
-      WHERE item_key = $1
-        AND ended_ts >= $2
-      ORDER BY ended_ts DESC
-      LIMIT 50000
-      `,
-      [itemKey, since]
+    const note = candidates.length
+      ? null
+      : "No sales found that match (diff>=2 is excluded) within the selected history window.";
+
+    /* =========================
+       LISTED BUT NOT SOLD (optional evidence)
+       - cancelled / expired listings matching the same filters
+       - not 'unknown' ones: those vanished while auctions_ended wasn't polled and may have sold
+       - never part of the median
+    ========================= */
+    let unsold = null;
+
+    if (wantUnsold) {
+      const unsoldParams = [itemKey, since];
+      const unsoldAttrSql = attributeFilterSql(match, unsoldParams);
+
+      const { rows: unsoldRows } = await pool.query(
+        `
+        SELECT a.uuid, a.item_name, a.bin, a.starting_bid, a.end_ts, a.last_seen_ts, a.end_reason, a.signature
+        FROM auctions a
+        LEFT JOIN item_attributes ia ON ia.row_kind = 'auctions' AND ia.uuid = a.uuid
+        WHERE a.item_key = $1
+          AND a.end_reason IN ('cancelled', 'expired')
+          AND a.last_seen_ts >= $2
+          ${unsoldAttrSql ? `AND ${unsoldAttrSql}` : ""}
+        ORDER BY a.last_seen_ts DESC
+        LIMIT 20000
+        `,
+        unsoldParams
+      );
+
+      const listings = [];
+
+      for (const a of unsoldRows) {
+        const price = Number(a.starting_bid || 0);
+        if (!Number.isFinite(price) || price <= 0) continue;
+
+        const sig = String(a.signature || "").trim();
+        const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
+        if (q === "NONE") continue;
+
+        listings.push({
+          uuid: a.uuid,
+          item_name: stripStarGlyphs(a.item_name),
+          price,
+          bin: !!a.bin,
+          end_reason: a.end_reason,
+          last_seen_ts: Number(a.last_seen_ts) || 0,
+          quality: q,
+        });
+      }
+
+      listings.sort((a, b) => a.price - b.price);
+      const unsoldPrices = listings.map((x) => x.price);
+
+      unsold = {
+        count: listings.length,
+        cancelled: listings.filter((x) => x.end_reason === "cancelled").length,
+        expired: listings.filter((x) => x.end_reason === "expired").length,
+        median: unsoldPrices.length ? median(unsoldPrices) : null,
+        lowest: unsoldPrices.length ? unsoldPrices[0] : null,
+        listings: listings.slice(0, 10),
+      };
+    }
+
+    /* =========================
+       LIVE BIN (LBIN)
+    ========================= */
+    const liveBest = await findLiveBest({ itemKey, itemInput, match });
+
+    /* =========================
+       Response (fields unchanged)
+    ========================= */
+    return res.json({
+      recommended: med,
+      median: med,
+      range_low: rangeLow,
+      range_high: rangeHigh,
+      range_count: pricePool.length, // <= 10 always, outliers excluded
+      trimmed_mean: trimmed,
+      count: candidates.length,
+      confidence,
+      window: {
+        days,
+        since,
+        halflife_days: halflifeDays || null,
+        weighting: halflifeDays ? "exponential" : "none",
+      },
+      // the sales behind the recommended price and the weight each one carried
+      weights: poolRows.map((x) => ({
+        uuid: x.uuid,
+        final_price: x.final_price,
+        ended_ts: x.ended_ts,
+        weight: Math.round(x.weight * 10000) / 10000,
+      })),
+      outliers: {
+        method: outlierMethod,
+        rejected: rejected.map(({ row, reason }) => ({
+          uuid: row.uuid,
+          final_price: row.final_price,
+          ended_ts: row.ended_ts,
+          reason,
+        })),
+      },
+      note,
+      top3,
+      live: liveBest,
+      unsold,
+      points,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/* =========================
+   /api/recommend/candidates (matched-sales explorer)
+   Every sale /api/recommend matched for the same params (days / halflife / outliers included),
+   not just top3, so a price can be audited row by row. Rows keep their recommend rank, whether
+   they were in the price pool, and the outlier reason when the pool check dropped them.
+   - quality=perfect|partial (default both)
+   - sort=score|price|date (default score), order=asc|desc (default: score / date desc, price asc)
+   - page=<1..>, page_size=<1..500> (default 50)
+   - export=csv|json: the whole filtered + sorted list as a download instead of one page
+========================= */
+const CANDIDATE_SORTS = {
+  score: { value: (c) => -c.rank, order: "desc" }, // recommend order: score x weight, then cheaper
+  price: { value: (c) => c.final_price, order: "asc" },
+  date: { value: (c) => c.ended_ts, order: "desc" },
+};
+const CANDIDATE_PAGE_MAX = 500;
+
+const CANDIDATE_CSV_COLUMNS = [
+  ["rank", (c) => c.rank],
+  ["uuid", (c) => c.uuid],
+  ["item_name", (c) => c.item_name],
+  ["final_price", (c) => c.final_price],
+  ["ended_at", (c) => (c.ended_ts ? new Date(c.ended_ts).toISOString() : "")],
+  ["quality", (c) => c.quality],
+  ["score", (c) => c.score],
+  ["weight", (c) => c.weight],
+  ["in_pool", (c) => (c.in_pool ? 1 : 0)],
+  ["outlier", (c) => c.outlier || ""],
+  ["stars10", (c) => c.stars10],
+  ["reforge", (c) => c.reforge || ""],
+  ["recomb", (c) => (c.recomb ? 1 : 0)],
+  ["hpb", (c) => c.hpb || 0],
+  ["enchants", (c) => c.allEnchants.map((e) => e.label).join("; ")],
+  ["attributes", (c) => c.attributes.join("; ")],
+  ["signature", (c) => c.signature],
+];
+
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  // keep spreadsheets from running text as a formula; numbers (a negative score) stay numbers
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function candidatesCsv(rows) {
+  const lines = [CANDIDATE_CSV_COLUMNS.map(([h]) => h).join(",")];
+  for (const c of rows) lines.push(CANDIDATE_CSV_COLUMNS.map(([, get]) => csvCell(get(c))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+app.get("/api/recommend/candidates", async (req, res) => {
+  try {
+    const now = Date.now();
+
+    const itemKey = canonicalItemKey(String(req.query.item || ""));
+    if (!itemKey) return res.status(400).json({ error: "Pick an item from suggestions." });
+
+    const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(req.query);
+    const { days, since, halflifeDays } = parseRecencyQuery(req.query, now);
+    const outlierMethod = parseOutlierMethod(req.query.outliers);
+
+    const match = { userEnchantsMap, inputStars10, filters };
+    const rows = await querySoldRows(itemKey, since, match);
+    const candidates = matchSoldCandidates(rows, match, { now, halflifeDays });
+    const { poolRows, rejected, med } = priceFromCandidates(candidates, { outlierMethod, now });
+
+    const inPool = new Set(poolRows);
+    const outliers = new Map(rejected.map(({ row, reason }) => [row, reason]));
+    const all = candidates.map((c, i) => ({
+      rank: i + 1,
+      in_pool: inPool.has(c),
+      outlier: outliers.get(c) || null,
+      ...c,
+      weight: Math.round(c.weight * 10000) / 10000,
+    }));
+
+    const quality = String(req.query.quality || "").trim().toUpperCase();
+    const filtered = quality === "PERFECT" || quality === "PARTIAL" ? all.filter((c) => c.quality === quality) : all;
+
+    const sortRaw = String(req.query.sort || "").trim().toLowerCase();
+    const sortKey = Object.hasOwn(CANDIDATE_SORTS, sortRaw) ? sortRaw : "score";
+    const { value, order: defaultOrder } = CANDIDATE_SORTS[sortKey];
+    const orderRaw = String(req.query.order || "").trim().toLowerCase();
+    const order = orderRaw === "asc" || orderRaw === "desc" ? orderRaw : defaultOrder;
+    const dir = order === "asc" ? 1 : -1;
+    const sorted = filtered.slice().sort((a, b) => dir * (value(a) - value(b)) || a.rank - b.rank);
+
+    const exportFormat = String(req.query.export || "").trim().toLowerCase();
+    if (exportFormat === "csv" || exportFormat === "json") {
+      const stamp = new Date(now).toISOString().slice(0, 10);
+      res.attachment(`${itemKey}-matched-sales-${stamp}.${exportFormat}`);
+      if (exportFormat === "csv") return res.type("text/csv").send(candidatesCsv(sorted));
+      return res.json({ item_key: itemKey, generated_ts: now, count: sorted.length, items: sorted });
+    }
+
+    const pageSize = Math.max(1, Math.min(CANDIDATE_PAGE_MAX, Math.trunc(Number(req.query.page_size || 50)) || 50));
+    const pages = Math.max(1, Math.ceil(sorted.length / pageSize));
+    const page = Math.max(1, Math.min(pages, Math.trunc(Number(req.query.page || 1)) || 1));
+
+    return res.json({
+      item_key: itemKey,
+      window: { days, since, halflife_days: halflifeDays || null },
+      summary: {
+        count: all.length,
+        perfect: all.filter((c) => c.quality === "PERFECT").length,
+        partial: all.filter((c) => c.quality === "PARTIAL").length,
+        recommended: med,
+        pool: poolRows.length,
+        outliers: rejected.length,
+        outlier_method: outlierMethod,
+        truncated: rows.length >= SOLD_ROWS_LIMIT, // oldest sales in the window weren't read
+      },
+      quality: quality === "PERFECT" || quality === "PARTIAL" ? quality : "ALL",
+      sort: sortKey,
+      order,
+      page,
+      page_size: pageSize,
+      pages,
+      total: sorted.length,
+      items: sorted.slice((page - 1) * pageSize, page * pageSize),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   /api/history
+   Same item / modifier params as /api/recommend, plus:
+   - bucket=hour|day|week (default day), days=<window> (capped per bucket size)
+   - perfect=1 to chart PERFECT matches only
+   Buckets are UTC-aligned (weeks start Monday); empty buckets are returned with volume 0.
+========================= */
+const HISTORY_BUCKETS = {
+  hour: { ms: 60 * 60 * 1000, defaultDays: 7, maxDays: 30 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultDays: 30, maxDays: 365 },
+  week: { ms: 7 * 24 * 60 * 60 * 1000, defaultDays: 180, maxDays: 730 },
+};
+// 1970-01-01 was a Thursday; shift so week buckets start on Monday
+const WEEK_OFFSET_MS = 4 * 24 * 60 * 60 * 1000;
+
+function historyBucketStart(ts, bucket) {
+  const { ms } = HISTORY_BUCKETS[bucket];
+  const offset = bucket === "week" ? WEEK_OFFSET_MS : 0;
+  return Math.floor((ts - offset) / ms) * ms + offset;
+}
+
+app.get("/api/history", async (req, res) => {
+  try {
+    const now = Date.now();
+
+    const itemKey = canonicalItemKey(String(req.query.item || ""));
+    if (!itemKey) return res.status(400).json({ error: "Pick an item from suggestions." });
+
+    const bucketRaw = String(req.query.bucket || "").toLowerCase();
+    const bucket = Object.hasOwn(HISTORY_BUCKETS, bucketRaw) ? bucketRaw : "day";
+    const spec = HISTORY_BUCKETS[bucket];
+    const days = Math.max(
+      1,
+      Math.min(spec.maxDays, Math.trunc(Number(req.query.days || spec.defaultDays)) || spec.defaultDays)
     );
+    const perfectOnly =
+      String(req.query.perfect ?? "") === "1" || String(req.query.perfect ?? "") === "true";
+
+    const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(req.query);
+    const from = historyBucketStart(now - days * DAY_MS, bucket);
 
-    const candidates = [];
+    const rows = await querySoldRows(itemKey, from, { userEnchantsMap, inputStars10, filters });
+
+    const pricesByBucket = new Map();
+    let count = 0;
 
     for (const r of rows) {
       const price = Number(r.final_price || 0);
-      if (!Number.isFinite(price) || price <= 0) continue;
+      const ts = Number(r.ended_ts) || 0;
+      if (!Number.isFinite(price) || price <= 0 || !ts) continue;
 
       const sig = String(r.signature || "").trim();
-      if (!sig) continue; // sales should have sig
+      if (!sig) continue;
 
       const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
-      if (q === "NONE") continue;
-
-      const sc = scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters });
-      if (!sc) continue;
-
-      const allEnchantsRaw = Array.from(sc.saleEnchants.entries()).map(([k, v]) => ({
-        tier: tierFor(k, v),
-        label: displayEnchant(k, v),
-      }));
-
-      candidates.push({
-        uuid: r.uuid,
-        item_name: stripStarGlyphs(r.item_name),
-        final_price: price,
-        ended_ts: Number(r.ended_ts) || 0,
-        signature: sig,
-
-        dstars: sigDungeonStars(sig),
-        mstars: sigMasterStars(sig),
-        stars10: sigStars10(sig),
-
-        wi: sigWI(sig),
-        dye: sigDye(sig),
-        skin: sigSkin(sig),
-        petskin: sigPetSkin(sig),
-        petLevel: sigPetLevel(sig),
-        petItem: sigPetItem(sig),
-
-        score: sc.score,
-        matched: sc.matched,
-        allEnchants: sortEnchantsForDisplay(allEnchantsRaw),
-        unverifiable: sc.unverifiable,
-        quality: q,
-      });
+      if (q === "NONE" || (perfectOnly && q !== "PERFECT")) continue;
+
+      const b = historyBucketStart(ts, bucket);
+      if (!pricesByBucket.has(b)) pricesByBucket.set(b, []);
+      pricesByBucket.get(b).push(price);
+      count++;
     }
 
-    candidates.sort((a, b) => (b.score - a.score) || (a.final_price - b.final_price));
-    const top3 = candidates.slice(0, 3);
+    const buckets = [];
+    for (let ts = from; ts <= now; ts += spec.ms) {
+      const prices = (pricesByBucket.get(ts) || []).sort((a, b) => a - b);
+      buckets.push({
+        ts,
+        median: prices.length ? median(prices) : null,
+        p25: quantileSorted(prices, 0.25),
+        p75: quantileSorted(prices, 0.75),
+        min: prices.length ? prices[0] : null,
+        max: prices.length ? prices[prices.length - 1] : null,
+        volume: prices.length,
+      });
+    }
 
-    /* =========================
-       Recommended price (TOP 10 ALWAYS)
-       - pick TOP 10 candidates (by your scoring sort)
-       - median(perfect) else median(partial)
-       - range is min/max of same pool
-    ========================= */
-    const top10 = candidates.slice(0, 10);
+    return res.json({
+      item_key: itemKey,
+      bucket,
+      bucket_ms: spec.ms,
+      days,
+      from,
+      to: now,
+      count,
+      truncated: rows.length >= SOLD_ROWS_LIMIT, // oldest sales past the row cap are missing
+      buckets,
+      note: count ? null : "No sales found that match (diff>=2 is excluded) within the selected window.",
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const top10Perfect = top10
-      .filter((x) => x.quality === "PERFECT")
-      .map((x) => x.final_price);
+/* =========================
+   Flip finder (/api/flips)
+   A background scan prices every live BIN against the sales that match its own signature,
+   then /api/flips filters and ranks the cached result.
+   - a sale counts when it matches the listing AND the listing matches the sale
+     (strictMatchQuality both ways), so a clean item is never priced off upgraded ones;
+     only enchants with a tier (tierFor) take part
+   - price: priceFromCandidates (top 10, outliers rejected, median), no recency weighting
+   - profit: expected price after auction tax (same brackets as calculateTaxAndProfit in
+     public/script.js) minus the BIN price
+   - liquidity: matched sales per day over the span the fetched sales cover (the whole window,
+     or less when an item hit FLIPS_SALES_PER_KEY)
+   - the scan yields to the event loop every FLIPS_SLICE_MS so API / SSE requests keep flowing
+========================= */
+const FLIPS_REFRESH_MS = Math.max(60_000, Number(process.env.FLIPS_REFRESH_MS || 5 * 60 * 1000));
+const FLIPS_WINDOW_DAYS = Math.max(1, Math.min(RECOMMEND_MAX_DAYS, Number(process.env.FLIPS_WINDOW_DAYS || 30)));
+const FLIPS_SALES_PER_KEY = 500;
+const FLIPS_KEY_BATCH = 50;
+const FLIPS_MIN_KEY_SALES = 3;
+const FLIPS_SLICE_MS = 20;
+
+// Seller's take-home for a sale at sellPrice (mirror of calculateTaxAndProfit in public/script.js)
+function netAfterAuctionTax(sellPrice) {
+  let taxRate = 0.01;
+  if (sellPrice < 10_000_000) taxRate = 0.01;
+  else if (sellPrice < 100_000_000) taxRate = 0.02;
+  else taxRate = 0.025;
+
+  const auctionTax = Math.round(sellPrice * taxRate);
+  const afterTax = sellPrice - auctionTax;
+  const collectionFee = Math.round(afterTax * 0.01);
+  return afterTax - collectionFee;
+}
 
-    const top10Partial = top10
-      .filter((x) => x.quality === "PARTIAL")
-      .map((x) => x.final_price);
+// The recommend-style match a signature asks for: its own stars, tiered enchants and attributes.
+function matchFromSignature(sig) {
+  const a = attributesFromSignature(sig);
+  if (!a) return null;
+  const set = (v) => (v && v !== "none" ? v : "");
+  const gems = gemSummary(a);
+  const isPet = a.petLevel > 0;
+
+  const userEnchantsMap = new Map();
+  for (const [k, lv] of sigEnchantMap(sig)) {
+    if (tierFor(k, lv) !== "MISC") userEnchantsMap.set(k, lv);
+  }
 
-    const pricePool = top10Perfect.length ? top10Perfect : top10Partial;
+  return {
+    inputStars10: a.stars10,
+    userEnchantsMap,
+    filters: {
+      userWI: a.witherImpact,
+      userRarity: a.tier || "",
+      userDye: set(a.dye),
+      userSkin: set(a.skin),
+      userPetSkin: set(a.petskin),
+      userPetLevel: a.petLevel,
+      userPetItem: set(a.petItem),
+      userReforge: set(a.reforge),
+      userRecomb: a.recomb,
+      userHpb: a.hpb,
+      userGemSlots: a.gemSlots,
+      userFullyGemmed: gems.fullyGemmed,
+      userGemQuality: gems.gemMinQuality,
+      userAttributes: new Map(Object.entries(a.attributeShards)),
+      userScrolls: a.scrolls,
+      userPowerScroll: set(a.powerScroll),
+      userUpgrades: new Map(Object.entries(a.upgrades)),
+      userNoCandy: isPet && a.petCandy === 0,
+      userNoTierBoost: isPet && !a.tierBoosted,
+    },
+  };
+}
 
-    const med = pricePool.length ? median(pricePool) : null;
-    const rangeLow = pricePool.length ? Math.min(...pricePool) : null;
-    const rangeHigh = pricePool.length ? Math.max(...pricePool) : null;
+function worseQuality(a, b) {
+  if (a === "NONE" || b === "NONE") return "NONE";
+  return a === "PARTIAL" || b === "PARTIAL" ? "PARTIAL" : "PERFECT";
+}
 
-    const note = candidates.length
-      ? null
-      : "No sales found that match (diff>=2 is excluded) within the selected history window.";
+function liquidityLevel(perDay) {
+  return perDay >= 1 ? "high" : perDay >= 1 / 7 ? "medium" : "low";
+}
 
-    /* =========================
-       LIVE BIN (LBIN)
-       - cheapest PERFECT else cheapest PARTIAL
-       (ONLY THIS SECTION IS CHANGED)
-    ========================= */
+let FLIPS = { scanned_ts: null, took_ms: 0, live_scanned: 0, items: [] };
+let flipsScanning = false;
+
+/**
+ * Price one listing signature against an item's recent sales.
+ * sales: [{ uuid, final_price, ended_ts, signature, match }] (match = matchFromSignature, cached)
+ */
+function priceListingSignature(sig, sales, now) {
+  const mine = matchFromSignature(sig);
+  if (!mine) return null;
+
+  const candidates = [];
+  for (const s of sales) {
+    if (!s.match) continue;
+    const q = worseQuality(
+      strictMatchQuality({ ...mine, sig: s.signature }),
+      strictMatchQuality({ ...s.match, sig })
+    );
+    if (q === "NONE") continue;
+
+    const sc = scoreAfterStrict({ ...mine, sig: s.signature });
+    if (!sc) continue;
+
+    candidates.push({
+      uuid: s.uuid,
+      final_price: s.final_price,
+      ended_ts: s.ended_ts,
+      signature: s.signature,
+      score: sc.score,
+      weight: 1,
+      unverifiable: sc.unverifiable,
+      quality: q,
+    });
+  }
+  if (!candidates.length) return null;
 
-         /* =========================
-       LIVE BIN (LBIN)
-       - cheapest PERFECT else cheapest PARTIAL
-       (ONLY THIS SECTION IS CHANGED)
-    ========================= */
+  candidates.sort((a, b) => (b.score - a.score) || (b.ended_ts - a.ended_ts));
+  return { matchedSales: candidates.length, ...priceFromCandidates(candidates, { now }) };
+}
 
-    // Use DB time so LBIN doesn't break from clock skew or stale last_seen_ts.
-    const { rows: dbNowRows } = await pool.query(
-      `SELECT (EXTRACT(EPOCH FROM NOW()) * 1000)::bigint AS now_ms`
-    );
-    const dbNow = Number(dbNowRows?.[0]?.now_ms || 0);
+async function scanFlips() {
+  if (flipsScanning) return;
+  flipsScanning = true;
+  const t0 = Date.now();
 
-    // If end_ts is correct (you showed live_bin_end_future is populated),
-    // this is the most reliable "is still live" filter.
-    const { rows: liveRows } = await pool.query(
+  try {
+    const { rows: live } = await pool.query(
       `
-      SELECT uuid, item_name, item_key, bin, start_ts, end_ts, starting_bid,
-             tier, signature, item_lore, item_bytes, last_seen_ts
+      SELECT uuid, item_name, item_key, starting_bid, end_ts, signature
       FROM auctions
       WHERE is_ended = false
         AND bin = true
-        AND end_ts > $2
-        AND (
-          item_key = $1
-          OR item_key IS NULL
-          OR item_name ILIKE ('%' || $3 || '%')
-        )
-      ORDER BY starting_bid ASC
-      LIMIT 8000
+        AND end_ts > (EXTRACT(EPOCH FROM NOW()) * 1000)::bigint
+        AND item_key IS NOT NULL
+        AND COALESCE(signature, '') <> ''
+        AND starting_bid > 0
+      `
+    );
+
+    const now = Date.now();
+    const since = now - FLIPS_WINDOW_DAYS * DAY_MS;
+
+    const liveByKey = new Map();
+    for (const a of live) {
+      if (!liveByKey.has(a.item_key)) liveByKey.set(a.item_key, []);
+      liveByKey.get(a.item_key).push(a);
+    }
+
+    // only items that actually trade
+    const { rows: keyRows } = await pool.query(
+      `
+      SELECT item_key
+      FROM sales
+      WHERE item_key = ANY($1) AND ended_ts >= $2 AND end_reason = 'sold'
+      GROUP BY item_key
+      HAVING COUNT(*) >= $3
       `,
-      [itemKey, dbNow, itemInput]
+      [[...liveByKey.keys()], since, FLIPS_MIN_KEY_SALES]
     );
+    const keys = keyRows.map((r) => r.item_key);
+
+    const items = [];
+    let sliceStart = Date.now();
+
+    for (let i = 0; i < keys.length; i += FLIPS_KEY_BATCH) {
+      const batch = keys.slice(i, i + FLIPS_KEY_BATCH);
+      const { rows: saleRows } = await pool.query(
+        `
+        SELECT uuid, item_key, final_price, ended_ts, signature
+        FROM (
+          SELECT s.uuid, s.item_key, s.final_price, s.ended_ts, s.signature,
+                 ROW_NUMBER() OVER (PARTITION BY s.item_key ORDER BY s.ended_ts DESC) AS rn
+          FROM sales s
+          WHERE s.item_key = ANY($1)
+            AND s.ended_ts >= $2
+            AND s.end_reason = 'sold'
+            AND COALESCE(s.signature, '') <> ''
+        ) x
+        WHERE rn <= $3
+        `,
+        [batch, since, FLIPS_SALES_PER_KEY]
+      );
+
+      const salesByKey = new Map();
+      const fetched = new Map(); // item_key -> { n, oldest } over every fetched row
+      for (const r of saleRows) {
+        const f = fetched.get(r.item_key) || { n: 0, oldest: now };
+        f.n++;
+        f.oldest = Math.min(f.oldest, Number(r.ended_ts) || now);
+        fetched.set(r.item_key, f);
+
+        const price = Number(r.final_price || 0);
+        if (!Number.isFinite(price) || price <= 0) continue;
+        const sig = String(r.signature).trim();
+        if (!salesByKey.has(r.item_key)) salesByKey.set(r.item_key, []);
+        salesByKey.get(r.item_key).push({
+          uuid: r.uuid,
+          final_price: price,
+          ended_ts: Number(r.ended_ts) || 0,
+          signature: sig,
+          match: matchFromSignature(sig),
+        });
+      }
 
-    let bestPerfect = null;
-    let bestPartial = null;
-
-    for (const a of liveRows) {
-      const price = Number(a.starting_bid || 0);
-      if (!Number.isFinite(price) || price <= 0) continue;
-
-      // JS-side canonical verification (handles NULL/dirty item_key rows)
-      const aKey = canonicalItemKey(a.item_key || a.item_name || "");
-      if (aKey !== itemKey) continue;
-
-      let sig = String(a.signature || "").trim();
-      if (!sig) {
-        sig = String(
-          (await buildSignature({
-            itemName: a.item_name || "",
-            lore: a.item_lore || "",
-            tier: a.tier || "",
-            itemBytes: a.item_bytes || "",
-          })) || ""
-        ).trim();
+      for (const key of batch) {
+        const sales = salesByKey.get(key) || [];
+        if (!sales.length) continue;
+
+        // a truncated fetch only covers back to its oldest sale, not the whole window
+        const f = fetched.get(key);
+        const coveredDays =
+          f.n >= FLIPS_SALES_PER_KEY ? Math.max(1 / 24, (now - f.oldest) / DAY_MS) : FLIPS_WINDOW_DAYS;
+
+        // identical listings share one pricing pass
+        const bySig = new Map();
+        for (const a of liveByKey.get(key) || []) {
+          const sig = String(a.signature).trim();
+          if (!bySig.has(sig)) {
+            bySig.set(sig, priceListingSignature(sig, sales, now));
+            if (Date.now() - sliceStart >= FLIPS_SLICE_MS) {
+              await yieldToEventLoop();
+              sliceStart = Date.now();
+            }
+          }
+          const priced = bySig.get(sig);
+          if (!priced?.med) continue;
+
+          const price = Number(a.starting_bid);
+          const net = netAfterAuctionTax(priced.med);
+          const perDay = priced.matchedSales / coveredDays;
+
+          items.push({
+            uuid: a.uuid,
+            item_name: stripStarGlyphs(a.item_name),
+            item_key: key,
+            price,
+            end_ts: Number(a.end_ts) || 0,
+            signature: sig,
+            expected_price: priced.med,
+            expected_net: net,
+            expected_profit: net - price,
+            margin: Math.round(((net - price) / price) * 10000) / 10000,
+            quality: priced.poolRows[0]?.quality || null,
+            confidence: { score: priced.confidence.score, level: priced.confidence.level },
+            liquidity: {
+              matched_sales: priced.matchedSales,
+              covered_days: Math.round(coveredDays * 10) / 10,
+              sales_per_day: Math.round(perDay * 100) / 100,
+              level: liquidityLevel(perDay),
+            },
+            range_low: priced.rangeLow,
+            range_high: priced.rangeHigh,
+          });
+        }
       }
+    }
 
-      // If signature still missing, build a stars/tier-only fallback signature from the NAME.
-      if (!sig) sig = buildLbinFallbackSignature({ itemName: a.item_name || "", tier: a.tier || "" });
-      if (!sig) continue;
+    FLIPS = {
+      scanned_ts: now,
+      took_ms: Date.now() - t0,
+      live_scanned: live.length,
+      items: items.filter((x) => x.expected_profit > 0),
+    };
+    console.log(
+      `💸 Flip scan: ${FLIPS.items.length} profitable of ${live.length} live BINs (${keys.length} items, ${FLIPS.took_ms}ms)`
+    );
+  } catch (e) {
+    console.error("⚠️ Flip scan failed:", e.message);
+  } finally {
+    flipsScanning = false;
+  }
+}
+setTimeout(scanFlips, 15_000).unref();
+setInterval(scanFlips, FLIPS_REFRESH_MS).unref();
+
+const FLIP_SORTS = {
+  profit: (a, b) => b.expected_profit - a.expected_profit,
+  margin: (a, b) => b.margin - a.margin,
+  confidence: (a, b) => (b.confidence.score - a.confidence.score) || (b.expected_profit - a.expected_profit),
+  liquidity: (a, b) =>
+    (b.liquidity.sales_per_day - a.liquidity.sales_per_day) || (b.expected_profit - a.expected_profit),
+};
+
+// ?min_profit=<coins, default 100000>&min_margin=<fraction, default 0.05>&min_confidence=<0-100>
+// &min_liquidity=<sales/day>&item=<name filter>&sort=profit|margin|confidence|liquidity&limit=<1-200>
+app.get("/api/flips", (req, res) => {
+  const num = (v, d) => (v == null || v === "" || !Number.isFinite(Number(v)) ? d : Number(v));
+
+  const minProfit = num(req.query.min_profit, 100_000);
+  const minMargin = num(req.query.min_margin, 0.05);
+  const minConfidence = num(req.query.min_confidence, 0);
+  const minLiquidity = num(req.query.min_liquidity, 0);
+  const itemQ = normKey(req.query.item || "");
+  const sortKey = Object.hasOwn(FLIP_SORTS, String(req.query.sort)) ? String(req.query.sort) : "profit";
+  const limit = Math.max(1, Math.min(200, Math.trunc(num(req.query.limit, 50))));
+  const now = Date.now();
+
+  const items = FLIPS.items
+    .filter(
+      (x) =>
+        x.end_ts > now &&
+        x.expected_profit >= minProfit &&
+        x.margin >= minMargin &&
+        x.confidence.score >= minConfidence &&
+        x.liquidity.sales_per_day >= minLiquidity &&
+        (!itemQ || normKey(x.item_name).includes(itemQ) || normKey(x.item_key).includes(itemQ))
+    )
+    .sort(FLIP_SORTS[sortKey]);
+
+  res.json({
+    scanned_ts: FLIPS.scanned_ts,
+    scan_took_ms: FLIPS.took_ms,
+    live_scanned: FLIPS.live_scanned,
+    window_days: FLIPS_WINDOW_DAYS,
+    sort: sortKey,
+    count: items.length,
+    items: items.slice(0, limit),
+    note: FLIPS.scanned_ts ? null : "The first flip scan hasn't finished yet.",
+  });
+});
 
-      const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
-      if (q === "NONE") continue;
-
-      const sc = scoreAfterStrict({ userEnchantsMap, inputStars10, sig, filters });
-      if (!sc) continue;
-
-      // Fix false [M#] tags in LIVE rows: trust glyph-derived stars when present.
-      const derived = deriveStarsFromName(a.item_name || "");
-      const shownDstars = derived ? derived.dstars : sigDungeonStars(sig);
-      const shownMstars = derived ? derived.mstars : sigMasterStars(sig);
-      const shownStars10 = Math.max(0, Math.min(10, (shownDstars || 0) + (shownMstars || 0)));
-
-      const allEnchantsRaw = Array.from(sc.saleEnchants.entries()).map(([k, v]) => ({
-        tier: tierFor(k, v),
-        label: displayEnchant(k, v),
-      }));
-
-      const cand = {
-        uuid: a.uuid,
-        item_name: stripStarGlyphs(a.item_name),
-        price,
-        bin: true,
-        signature: sig,
-
-        dstars: shownDstars,
-        mstars: shownMstars,
-        stars10: shownStars10,
-
-        petItem: sigPetItem(sig),
-        score: sc.score,
-        matched: sc.matched,
-        allEnchants: sortEnchantsForDisplay(allEnchantsRaw),
-        quality: q,
-      };
+/* =========================
+   Watchlists (watches.js)
+   - ingest.js stamps ingest_state.state.last_sync_ts after every full sync; this polls it
+     (and re-checks right away on a "sync" auctions_changed, which ingest sends only after saving
+     that stamp) and evaluates every enabled watch once per new sync. "ended" notifications only
+     remove listings, so they can't produce new hits.
+   - a watch hits on live BINs for its item, at or under target_price, that its saved query
+     matches (parseMatchQuery + strictMatchQuality, PERFECT only when perfect_only)
+   - pending / retrying webhook deliveries go out on every poll
+   Endpoints need ADMIN_TOKEN (they store and call arbitrary webhook URLs).
+========================= */
+const WATCH_POLL_MS = Math.max(5000, Number(process.env.WATCH_POLL_MS || 15_000));
+const WATCH_HITS_LIMIT = 200;
+
+let watchLastSyncTs = null;
+let watchTicking = false;
+
+async function evaluateWatch(w) {
+  const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(w.query || {});
+  const match = { userEnchantsMap, inputStars10, filters };
+
+  const params = [w.item_key, Number(w.target_price)];
+  const attrSql = attributeFilterSql(match, params);
+
+  const { rows } = await pool.query(
+    `
+    SELECT a.uuid, a.item_name, a.starting_bid, a.end_ts, a.signature
+    FROM auctions a
+    LEFT JOIN item_attributes ia ON ia.row_kind = 'auctions' AND ia.uuid = a.uuid
+    WHERE a.item_key = $1
+      AND a.is_ended = false
+      AND a.bin = true
+      AND a.end_ts > (EXTRACT(EPOCH FROM NOW()) * 1000)::bigint
+      AND a.starting_bid > 0
+      AND a.starting_bid <= $2
+      AND COALESCE(a.signature, '') <> ''
+      ${attrSql ? `AND ${attrSql}` : ""}
+    ORDER BY a.starting_bid ASC
+    LIMIT ${WATCH_HITS_LIMIT}
+    `,
+    params
+  );
+
+  const hits = [];
+  for (const a of rows) {
+    const sig = String(a.signature).trim();
+    const q = strictMatchQuality({ userEnchantsMap, inputStars10, sig, filters });
+    if (q === "NONE" || (w.perfect_only && q !== "PERFECT")) continue;
+    hits.push({
+      uuid: a.uuid,
+      item_name: stripStarGlyphs(a.item_name),
+      price: Number(a.starting_bid),
+      end_ts: Number(a.end_ts) || 0,
+      quality: q,
+    });
+  }
+
+  const created = await recordWatchAlerts(pool, w, hits);
+  await markWatchChecked(pool, w.id);
+  return created;
+}
+
+async function watchTick() {
+  if (watchTicking) return;
+  watchTicking = true;
 
-      if (q === "PERFECT") {
-        if (!bestPerfect || cand.price < bestPerfect.price) bestPerfect = cand;
-      } else {
-        if (!bestPartial || cand.price < bestPartial.price) bestPartial = cand;
+  try {
+    const { rows } = await pool.query(
+      `SELECT (state->>'last_sync_ts')::bigint AS last_sync_ts FROM ingest_state WHERE id = 'main'`
+    );
+    const lastSyncTs = Number(rows[0]?.last_sync_ts) || null;
+
+    if (lastSyncTs && lastSyncTs !== watchLastSyncTs) {
+      watchLastSyncTs = lastSyncTs;
+      let created = 0;
+      for (const w of await listWatches(pool, { enabledOnly: true })) {
+        try {
+          created += await evaluateWatch(w);
+        } catch (e) {
+          console.error(`⚠️ Watch ${w.id} evaluation failed:`, e.message);
+        }
       }
+      if (created) console.log(`🔔 Watches: ${created} new alert${created === 1 ? "" : "s"}`);
     }
 
-    const liveBest = bestPerfect || bestPartial || null;
+    const sent = await deliverPendingAlerts(pool);
+    if (sent.sent || sent.retried || sent.failed) {
+      console.log(`📬 Webhooks: ${sent.sent} sent, ${sent.retried} to retry, ${sent.failed} failed`);
+    }
+  } catch (e) {
+    console.error("⚠️ Watch tick failed:", e.message);
+  } finally {
+    watchTicking = false;
+  }
+}
+setInterval(watchTick, WATCH_POLL_MS).unref();
 
+function watchIdParam(req) {
+  const id = Math.trunc(Number(req.params.id));
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
 
+app.get("/api/watches", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  try {
+    return res.json({ items: await listWatches(pool) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
 
+// body: { name?, query: { item, stars10, enchants, ... }, target_price, webhook_url, perfect_only? }
+app.post("/api/watches", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  let input;
+  try {
+    input = validateWatchInput(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const watch = await createWatch(pool, input);
+    // check it against the current live BINs right away instead of waiting for the next sync
+    const created = await evaluateWatch(watch);
+    return res.status(201).json({ ok: true, watch, alerts_created: created });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/watches/:id", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = watchIdParam(req);
+  if (!id) return res.status(400).json({ error: "Bad watch id" });
+  if (typeof req.body?.enabled !== "boolean") return res.status(400).json({ error: "enabled must be true or false" });
+
+  try {
+    const watch = await setWatchEnabled(pool, id, req.body.enabled);
+    return watch ? res.json({ ok: true, watch }) : res.status(404).json({ error: "Watch not found" });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/api/watches/:id", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = watchIdParam(req);
+  if (!id) return res.status(400).json({ error: "Bad watch id" });
+
+  try {
+    return (await deleteWatch(pool, id)) ? res.json({ ok: true }) : res.status(404).json({ error: "Watch not found" });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/watches/:id/alerts", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  const id = watchIdParam(req);
+  if (!id) return res.status(400).json({ error: "Bad watch id" });
+
+  try {
+    const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+    return res.json({ items: await listWatchAlerts(pool, id, limit) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   Live LBIN stream (/api/lbin/stream, server-sent events)
+   Same item / modifier params as /api/recommend. Sends the current LBIN on connect, then again
+   whenever it changes: ingest.js NOTIFYs auctions_changed (auctionEvents.js) after each sync and
+   ended-feed poll, and every distinct query with subscribers is re-priced once (findLiveBest).
+   event "lbin": { live, previous: { uuid, price } | null, change, ts }
+     change: "initial" | "new" | "cheaper" (cheaper matching BIN listed)
+           | "ended" (the cheapest one sold / was pulled) | "gone" (no matching BIN left)
+   ": ping" comments keep proxies from closing an idle stream.
+========================= */
+const LBIN_STREAM_MAX_CLIENTS = Math.max(1, Number(process.env.LBIN_STREAM_MAX_CLIENTS || 200));
+const LBIN_STREAM_PING_MS = 25_000;
+const LBIN_STREAM_DEBOUNCE_MS = 500;
+// /api/recommend params that only shape sold-history pricing; they never change the live match
+const LBIN_STREAM_IGNORED_PARAMS = new Set(["days", "halflife", "outliers", "points", "unsold"]);
+
+// query key -> { itemKey, itemInput, match, live, ready, clients: Set<res>, waiting }
+const lbinGroups = new Map();
+let lbinClientCount = 0;
+let lbinRefreshTimer = null;
+let lbinRefreshing = false;
+let lbinRefreshAgain = false;
+
+function lbinStreamKey(itemKey, query) {
+  const parts = Object.entries(query)
+    .filter(([k, v]) => k !== "item" && !LBIN_STREAM_IGNORED_PARAMS.has(k) && v != null && typeof v !== "object")
+    .filter(([, v]) => String(v) !== "")
+    .map(([k, v]) => `${k}=${v}`)
+    .sort();
+  return [itemKey, ...parts].join("&");
+}
+
+function lbinChange(prev, next) {
+  if (!next) return prev ? "gone" : null;
+  if (!prev) return "new";
+  if (prev.uuid === next.uuid && prev.price === next.price) return null;
+  return next.price < prev.price ? "cheaper" : "ended";
+}
+
+function sendSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function dropLbinGroupIfIdle(key, g) {
+  if (!g.clients.size && !g.waiting && lbinGroups.get(key) === g) lbinGroups.delete(key);
+}
+
+async function refreshLbinStreams() {
+  if (lbinRefreshing) {
+    lbinRefreshAgain = true;
+    return;
+  }
+  lbinRefreshing = true;
+
+  try {
+    do {
+      lbinRefreshAgain = false;
+      for (const g of [...lbinGroups.values()]) {
+        try {
+          await g.ready;
+          const live = await findLiveBest(g);
+          const change = lbinChange(g.live, live);
+          if (!change) continue;
+
+          const event = {
+            live,
+            previous: g.live ? { uuid: g.live.uuid, price: g.live.price } : null,
+            change,
+            ts: Date.now(),
+          };
+          g.live = live;
+          for (const res of g.clients) sendSse(res, "lbin", event);
+        } catch (e) {
+          console.error(`⚠️ LBIN stream refresh failed (${g.itemKey}):`, e.message);
+        }
+      }
+    } while (lbinRefreshAgain);
+  } finally {
+    lbinRefreshing = false;
+  }
+}
+
+// notifications come in bursts (sync + ended feed); price each query once per burst
+function scheduleLbinRefresh() {
+  if (!lbinGroups.size || lbinRefreshTimer) return;
+  lbinRefreshTimer = setTimeout(() => {
+    lbinRefreshTimer = null;
+    refreshLbinStreams();
+  }, LBIN_STREAM_DEBOUNCE_MS);
+}
+
+const auctionListener = listenAuctionChanges({
+  connectionString: process.env.DATABASE_URL,
+  onChange: ({ reason }) => {
+    scheduleLbinRefresh();
+    if (reason === "sync") watchTick();
+  },
+  // anything NOTIFYed while disconnected is lost; re-check once
+  onConnect: scheduleLbinRefresh,
+});
+
+app.get("/api/lbin/stream", async (req, res) => {
+  const itemInput = String(req.query.item || "");
+  const itemKey = canonicalItemKey(itemInput);
+  if (!itemKey) return res.status(400).json({ error: "Pick an item from suggestions." });
+  if (lbinClientCount >= LBIN_STREAM_MAX_CLIENTS) {
+    return res.status(503).json({ error: "Too many live streams open, try again later" });
+  }
+
+  const key = lbinStreamKey(itemKey, req.query);
+  let g = lbinGroups.get(key);
+  if (!g) {
+    const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(req.query);
+    g = {
+      itemKey,
+      itemInput,
+      match: { userEnchantsMap, inputStars10, filters },
+      live: null,
+      ready: null,
+      clients: new Set(),
+      waiting: 0,
+    };
+    const group = g;
+    g.ready = findLiveBest(g).then(
+      (live) => {
+        group.live = live;
+      },
+      (e) => {
+        if (lbinGroups.get(key) === group) lbinGroups.delete(key);
+        throw e;
+      }
+    );
+    lbinGroups.set(key, g);
+  }
+
+  lbinClientCount++;
+  let closed = false;
+  let ping = null;
+  req.on("close", () => {
+    if (closed) return;
+    closed = true;
+    lbinClientCount--;
+    clearInterval(ping);
+    g.clients.delete(res);
+    dropLbinGroupIfIdle(key, g);
+  });
+
+  g.waiting++;
+  try {
+    await g.ready;
+  } catch (e) {
+    if (!closed) res.status(500).json({ error: e.message });
+    return;
+  } finally {
+    g.waiting--;
+  }
+  if (closed) return dropLbinGroupIfIdle(key, g);
+
+  res.writeHead(200, {
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache, no-transform",
+    connection: "keep-alive",
+    "x-accel-buffering": "no", // nginx: don't buffer the stream
+  });
+  res.write("retry: 5000\n\n");
+  sendSse(res, "lbin", { live: g.live, previous: null, change: "initial", ts: Date.now() });
+
+  g.clients.add(res);
+  ping = setInterval(() => res.write(": ping\n\n"), LBIN_STREAM_PING_MS);
+});
+
+/* =========================
+   Live ladder (/api/live/ladder)
+   Every live BIN the query matches, not just the cheapest, grouped by match quality: how many
+   copies sit at each price level and how far the second-cheapest is from LBIN.
+   Same item / modifier params as /api/recommend, plus:
+   - step=<coins> groups prices into levels that wide (default: one level per exact price)
+   - limit=<1..500> listings returned per quality (default 50; counts and levels cover every
+     listing read, which is all of them unless truncated is set)
+   - auctions=1 adds regular auctions: current bid and time left, ending soonest first
+========================= */
+const LADDER_LIMIT_MAX = 500;
+const LADDER_LEVELS_MAX = 200;
+const LIVE_QUALITIES = ["PERFECT", "PARTIAL"];
+
+function ladderLevels(prices, step) {
+  const levels = [];
+  let cumulative = 0;
+  for (const p of prices) {
+    const price = step ? Math.floor(p / step) * step : p;
+    const last = levels[levels.length - 1];
+    cumulative++;
+    if (last && last.price === price) {
+      last.count++;
+      last.cumulative = cumulative;
+    } else {
+      levels.push({ price, count: 1, cumulative });
+    }
+  }
+  return levels.slice(0, LADDER_LEVELS_MAX);
+}
+
+// bins: matched BINs of one quality, cheapest first
+function ladderSummary(bins, { step, limit }) {
+  const prices = bins.map((b) => b.price);
+  const lowest = prices.length ? prices[0] : null;
+  const second = prices.length > 1 ? prices[1] : null;
+  const gap = second != null ? second - lowest : null;
+
+  return {
+    count: bins.length,
+    lowest,
+    second,
+    gap_to_second: gap,
+    gap_to_second_pct: gap != null && lowest > 0 ? Math.round((gap / lowest) * 1000) / 10 : null,
+    median: prices.length ? median(prices) : null,
+    levels: ladderLevels(prices, step),
+    listings: bins.slice(0, limit),
+  };
+}
+
+app.get("/api/live/ladder", async (req, res) => {
+  try {
+    const itemInput = String(req.query.item || "");
+    const itemKey = canonicalItemKey(itemInput);
+    if (!itemKey) return res.status(400).json({ error: "Pick an item from suggestions." });
+
+    const { inputStars10, userEnchantsMap, filters } = parseMatchQuery(req.query);
+    const match = { userEnchantsMap, inputStars10, filters };
+
+    const stepRaw = Math.trunc(Number(req.query.step || 0));
+    const step = Number.isFinite(stepRaw) && stepRaw > 0 ? stepRaw : 0;
+    const limit = Math.max(1, Math.min(LADDER_LIMIT_MAX, Math.trunc(Number(req.query.limit || 50)) || 50));
+    const wantAuctions =
+      String(req.query.auctions ?? "") === "1" || String(req.query.auctions ?? "") === "true";
+
+    const liveBins = await matchLiveAuctions({ itemKey, itemInput, match, bin: true });
+    const liveBids = wantAuctions
+      ? await matchLiveAuctions({ itemKey, itemInput, match, bin: false })
+      : { candidates: [], truncated: false };
+    const bins = liveBins.candidates.sort((a, b) => a.price - b.price);
+    const bids = liveBids.candidates;
+
+    const byQuality = (list, q) => list.filter((x) => x.quality === q);
+
+    const ladder = Object.fromEntries(
+      LIVE_QUALITIES.map((q) => [q, ladderSummary(byQuality(bins, q), { step, limit })])
+    );
 
-    /* =========================
-       Response (fields unchanged)
-    ========================= */
     return res.json({
-      recommended: med,
-      median: med,
-      range_low: rangeLow,
-      range_high: rangeHigh,
-      range_count: pricePool.length, // <= 10 always
-      count: candidates.length,
-      note,
-      top3,
-      live: liveBest,
+      item_key: itemKey,
+      ts: Date.now(),
+      step: step || null,
+      // hit LIVE_ROWS_LIMIT: counts / levels miss the priciest BINs (or latest-ending auctions)
+      truncated: liveBins.truncated || liveBids.truncated,
+      // same pick as /api/recommend "live": cheapest PERFECT, else cheapest PARTIAL
+      lbin: ladder.PERFECT.lowest ?? ladder.PARTIAL.lowest,
+      bins: ladder,
+      auctions: wantAuctions
+        ? Object.fromEntries(
+            LIVE_QUALITIES.map((q) => {
+              const list = byQuality(bids, q);
+              return [q, { count: list.length, listings: list.slice(0, limit) }];
+            })
+          )
+        : null,
     });
-  } catch (err) {
-    return res.status(500).json({ error: err.message });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
   }
 });
 
@@ -973,13 +2624,6 @@ app.get("/api/items", async (req, res) => {
 /* =========================
    Enchant autocomplete
 ========================= */
-const ENCHANT_CATALOG_NORM = ENCHANT_CATALOG.map((e) => ({
-  name: e.name,
-  key: normKey(e.name),
-  min: e.min,
-  max: e.max,
-}));
-
 app.get("/api/enchants", (req, res) => {
   const q = normKey(req.query.q || "");
   const LIMIT = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
@@ -1000,25 +2644,101 @@ app.get("/api/enchants", (req, res) => {
 /* =========================
    Cosmetics endpoints + health
 ========================= */
-app.get("/api/dyes", (req, res) => {
-  const q = normKey(req.query.q || "");
-  const limit = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
-  const items = !q ? DYE_OPTIONS : DYE_OPTIONS.filter((x) => normKey(x.label).includes(q));
-  res.json({ items: items.slice(0, limit) });
+// { items: [{ label, key, count, curated }] }, most-seen first
+for (const kind of Object.keys(COSMETIC_KINDS)) {
+  app.get(`/api/${kind}`, (req, res) => {
+    const limit = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
+    res.json({ items: searchCosmetics(kind, req.query.q, limit) });
+  });
+}
+app.get("/api/health", (_req, res) =>
+  res.json({
+    ok: true,
+    enchant_tiers_version: getEnchantTiersVersion(),
+    cosmetics: getCosmeticsInfo(),
+    lbin_streams: {
+      clients: lbinClientCount,
+      queries: lbinGroups.size,
+      listening: auctionListener.isConnected(),
+    },
+  })
+);
+
+/* =========================
+   Ingest status (written by ingest.js)
+========================= */
+const INGEST_STALE_MS = 10 * 60 * 1000;
+
+app.get("/api/ingest/status", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT state, updated_ts FROM ingest_state WHERE id = 'main'`
+    );
+    if (!rows.length) return res.json({ state: null, updated_ts: null, stale: true });
+
+    const updatedTs = Number(rows[0].updated_ts) || 0;
+    return res.json({
+      state: rows[0].state,
+      updated_ts: updatedTs,
+      stale: Date.now() - updatedTs > INGEST_STALE_MS,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 });
-app.get("/api/skins", (req, res) => {
-  const q = normKey(req.query.q || "");
-  const limit = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
-  const items = !q ? SKIN_OPTIONS : SKIN_OPTIONS.filter((x) => normKey(x.label).includes(q));
-  res.json({ items: items.slice(0, limit) });
+
+/* =========================
+   Admin (needs ADMIN_TOKEN; send it as "Authorization: Bearer <token>" or x-admin-token)
+========================= */
+function isAdmin(req) {
+  const token = process.env.ADMIN_TOKEN || "";
+  if (!token) return false;
+  const auth = String(req.get("authorization") || "");
+  const given = auth.startsWith("Bearer ") ? auth.slice(7) : String(req.get("x-admin-token") || "");
+  return given === token;
+}
+
+// Sends 503 (no token configured) / 401 and returns false unless the request is admin
+function requireAdmin(req, res) {
+  if (!process.env.ADMIN_TOKEN) {
+    res.status(503).json({ error: "ADMIN_TOKEN is not configured" });
+    return false;
+  }
+  if (!isAdmin(req)) {
+    res.status(401).json({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+// Re-read data/enchant-tiers.json; a file that fails validation leaves the current tiers live
+app.post("/api/admin/enchant-tiers/reload", (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    const info = reloadEnchantTiers();
+    refreshEnchantCatalog();
+    console.log(`🔁 Enchant tiers reloaded (v${info.version}, ${info.enchants} enchants)`);
+    return res.json({ ok: true, ...info });
+  } catch (e) {
+    return res.status(400).json({ error: e.message, version: getEnchantTiersVersion() });
+  }
 });
-app.get("/api/petskins", (req, res) => {
-  const q = normKey(req.query.q || "");
-  const limit = Math.max(5, Math.min(60, Number(req.query.limit || 30)));
-  const items = !q ? PETSKIN_OPTIONS : PETSKIN_OPTIONS.filter((x) => normKey(x.label).includes(q));
-  res.json({ items: items.slice(0, limit) });
+
+// Re-read data/cosmetics.json and re-count observed values
+app.post("/api/admin/cosmetics/reload", async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+
+  let info;
+  try {
+    info = reloadCuratedCosmetics();
+  } catch (e) {
+    return res.status(400).json({ error: e.message, ...getCosmeticsInfo() });
+  }
+  await refreshCosmetics();
+  console.log(`🔁 Cosmetics reloaded (v${info.version})`);
+  return res.json({ ok: true, ...info, ...getCosmeticsInfo() });
 });
-app.get("/api/health", (_req, res) => res.json({ ok: true }));
 
 /* =========================
    Boot
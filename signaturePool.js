@@ -0,0 +1,178 @@
+// signaturePool.js
+// Signature building for ingest, off the hot path:
+// - a pool of worker threads (signatureWorker.js) so NBT parsing doesn't block the sweep
+// - an LRU cache keyed by a hash of item_bytes, so an auction seen again next sweep isn't re-parsed
+//
+// build() never rejects: failures resolve to null (same contract as ingest's old safeBuildSignature).
+//
+// Env:
+//   SIG_WORKERS     worker count (default: CPUs - 1, min 1; 0 = build inline on the main thread)
+//   SIG_CACHE_SIZE  cached signatures (default 200000)
+
+import os from "node:os";
+import { createHash } from "node:crypto";
+import { Worker } from "node:worker_threads";
+import { buildSignature } from "./parseLore.js";
+
+const DEFAULT_WORKERS = Math.max(1, (os.availableParallelism?.() ?? os.cpus().length) - 1);
+const DEFAULT_CACHE_SIZE = 200_000;
+
+/**
+ * Cache key: hash of the bytes (name/tier/lore all live inside them),
+ * plus the listing name + tier which buildSignature also reads.
+ * No bytes -> no key (nothing expensive to skip).
+ */
+function cacheKeyFor({ itemName = "", tier = "", itemBytes = "" }) {
+  const bytes = String(itemBytes || "");
+  if (!bytes) return null;
+  return createHash("sha1")
+    .update(bytes)
+    .update("\0")
+    .update(String(itemName))
+    .update("\0")
+    .update(String(tier))
+    .digest("hex");
+}
+
+/* =========================
+   LRU (Map keeps insertion order)
+========================= */
+function createLru(max) {
+  const map = new Map();
+  return {
+    get(k) {
+      if (!map.has(k)) return undefined;
+      const v = map.get(k);
+      map.delete(k);
+      map.set(k, v);
+      return v;
+    },
+    set(k, v) {
+      if (map.has(k)) map.delete(k);
+      map.set(k, v);
+      if (map.size > max) map.delete(map.keys().next().value);
+    },
+    get size() {
+      return map.size;
+    },
+  };
+}
+
+// Internally every build resolves { sig, failed } so failures aren't cached
+async function buildInline(args) {
+  try {
+    const sig = await buildSignature(args);
+    return { sig: typeof sig === "string" && sig.length ? sig : null, failed: false };
+  } catch (e) {
+    console.error("⚠️ buildSignature failed:", e?.message || e);
+    return { sig: null, failed: true };
+  }
+}
+
+export function createSignaturePool({
+  size = Number(process.env.SIG_WORKERS ?? DEFAULT_WORKERS),
+  cacheSize = Number(process.env.SIG_CACHE_SIZE || DEFAULT_CACHE_SIZE),
+} = {}) {
+  const workerCount = Math.max(0, Math.trunc(Number.isFinite(size) ? size : DEFAULT_WORKERS));
+  const cache = createLru(Math.max(1, cacheSize || DEFAULT_CACHE_SIZE));
+  const inflight = new Map(); // cacheKey -> Promise (same bytes twice in one page)
+  const stats = { hits: 0, misses: 0, failures: 0 };
+
+  const idle = [];
+  const queue = [];
+  const jobs = new Map(); // id -> { resolve, worker }
+  let seq = 0;
+  let closed = false;
+
+  function spawn() {
+    const w = new Worker(new URL("./signatureWorker.js", import.meta.url));
+    w.unref();
+
+    w.on("message", ({ id, sig, error }) => {
+      const job = jobs.get(id);
+      jobs.delete(id);
+      if (error) console.error("⚠️ buildSignature failed:", error);
+      job?.resolve({ sig: sig ?? null, failed: !!error });
+      release(w);
+    });
+
+    // A crashed worker fails its job (null) and gets replaced
+    w.on("error", (e) => {
+      console.error("⚠️ signature worker crashed:", e?.message || e);
+      for (const [id, job] of jobs) {
+        if (job.worker !== w) continue;
+        jobs.delete(id);
+        job.resolve({ sig: null, failed: true });
+      }
+      if (!closed) release(spawn());
+    });
+
+    return w;
+  }
+
+  function release(w) {
+    const next = queue.shift();
+    if (next) run(w, next);
+    else idle.push(w);
+  }
+
+  function run(w, { args, resolve }) {
+    const id = ++seq;
+    jobs.set(id, { resolve, worker: w });
+    w.postMessage({ id, args });
+  }
+
+  for (let i = 0; i < workerCount; i++) idle.push(spawn());
+
+  function dispatch(args) {
+    if (!workerCount) return buildInline(args);
+    return new Promise((resolve) => {
+      const w = idle.pop();
+      if (w) run(w, { args, resolve });
+      else queue.push({ args, resolve });
+    });
+  }
+
+  return {
+    async build({ itemName = "", lore = "", tier = "", itemBytes = "" } = {}) {
+      const args = { itemName, lore, tier, itemBytes };
+      const key = cacheKeyFor(args);
+      if (!key) {
+        const { sig, failed } = await dispatch(args);
+        if (failed) stats.failures++;
+        return sig;
+      }
+
+      const cached = cache.get(key);
+      if (cached !== undefined) {
+        stats.hits++;
+        return cached;
+      }
+      if (inflight.has(key)) {
+        stats.hits++;
+        return inflight.get(key);
+      }
+
+      stats.misses++;
+      const p = dispatch(args).then(({ sig, failed }) => {
+        inflight.delete(key);
+        if (failed) stats.failures++;
+        else cache.set(key, sig); // don't pin failures, retry them next sweep
+        return sig;
+      });
+      inflight.set(key, p);
+      return p;
+    },
+
+    stats() {
+      return { ...stats, cached: cache.size, workers: workerCount, queued: queue.length };
+    },
+
+    async close() {
+      closed = true;
+      const all = [...idle];
+      for (const { worker } of jobs.values()) all.push(worker);
+      await Promise.all([...new Set(all)].map((w) => w.terminate()));
+    },
+  };
+}
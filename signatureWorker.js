@@ -0,0 +1,15 @@
+// signatureWorker.js
+// Worker thread for signaturePool.js: runs buildSignature (gunzip + NBT parse) off the main thread.
+// Protocol: in { id, args } -> out { id, sig, error? }
+
+import { parentPort } from "node:worker_threads";
+import { buildSignature } from "./parseLore.js";
+
+parentPort.on("message", async ({ id, args }) => {
+  try {
+    const sig = await buildSignature(args);
+    parentPort.postMessage({ id, sig: typeof sig === "string" && sig.length ? sig : null });
+  } catch (e) {
+    parentPort.postMessage({ id, sig: null, error: String(e?.message || e) });
+  }
+});
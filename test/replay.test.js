@@ -0,0 +1,138 @@
+// test/replay.test.js
+// End-to-end ingest over fixtures/sample-replay (record_snapshot.js layout, four auctions):
+//   0001 (lastUpdated T)       A: Hyperion BIN, B: AOTE BIN, C: bid auction (ends T+60s), D: AOTE BIN
+//   0002 (lastUpdated T+90s)   only D is still listed; ended.json has A selling at T+45s
+// runReplay() upserts both pages (upsertAuctionsBulk), records the feed and finalizes,
+// then finalizeEnded() is run again once B is past the ended-feed grace period.
+//
+// Needs a scratch Postgres (its tables get truncated!):
+//   TEST_DATABASE_URL=postgres://user@localhost/ah_test npm test
+// Skipped without TEST_DATABASE_URL.
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const DB_URL = process.env.TEST_DATABASE_URL || "";
+const skip = DB_URL ? false : "TEST_DATABASE_URL not set";
+
+const REPLAY_DIR = fileURLToPath(new URL("../fixtures/sample-replay", import.meta.url));
+const SCHEMA_FILE = fileURLToPath(new URL("../schema.sql", import.meta.url));
+
+const T = 1760000000000; // 0001/page-0.json lastUpdated
+const UUID = {
+  sold: "a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1",
+  vanished: "b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2b2",
+  bid: "c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3",
+  live: "d4d4d4d4d4d4d4d4d4d4d4d4d4d4d4d4",
+};
+const AFTER_GRACE = T + 15 * 60_000; // past ENDED_FEED_GRACE_MS for B
+
+let ingest = null;
+let createReplaySource = null;
+let db = null;
+
+// ingest.js builds its pool from DATABASE_URL on import, so import after pointing it at the test DB
+test.before(async () => {
+  if (skip) return;
+  process.env.DATABASE_URL = DB_URL;
+  process.env.SIG_WORKERS = "0";
+  mock.method(console, "log", () => {}); // ingest progress chatter
+
+  ingest = await import("../ingest.js");
+  ({ createReplaySource } = await import("../auctionSource.js"));
+  const { default: pg } = await import("pg");
+
+  db = new pg.Pool({ connectionString: DB_URL });
+  await db.query(fs.readFileSync(SCHEMA_FILE, "utf8"));
+});
+
+test.after(async () => {
+  if (skip) return;
+  await ingest.closeIngest();
+  await db.end();
+});
+
+async function replayFixture() {
+  await db.query("TRUNCATE auctions, sales, item_attributes, ended_feed_polls, ingest_state");
+  ingest.setAuctionSource(createReplaySource(REPLAY_DIR));
+  await ingest.runReplay();
+}
+
+async function auction(uuid) {
+  const { rows } = await db.query("SELECT * FROM auctions WHERE uuid = $1", [uuid]);
+  return rows[0] || null;
+}
+
+async function sale(uuid) {
+  const { rows } = await db.query("SELECT * FROM sales WHERE uuid = $1", [uuid]);
+  return rows[0] || null;
+}
+
+test("replay records feed sales, infers bid sales and keeps live BINs live", { skip }, async () => {
+  await replayFixture();
+
+  const a = await sale(UUID.sold);
+  assert.equal(a.source, "ended_feed");
+  assert.equal(a.end_reason, "sold");
+  assert.equal(Number(a.final_price), 950000000);
+  assert.equal(a.item_key, "hyperion");
+  assert.match(a.signature, /^sv:\d+\|/);
+  assert.match(a.signature, /\|dstars:5\|/);
+  assert.equal((await auction(UUID.sold)).end_reason, "sold");
+
+  const c = await sale(UUID.bid);
+  assert.equal(c.source, "inferred");
+  assert.equal(c.bin, false);
+  assert.equal(Number(c.final_price), 2500);
+
+  const b = await auction(UUID.vanished);
+  assert.equal(b.is_ended, true);
+  assert.equal(b.finalized_ts, null, "a vanished BIN waits out the ended-feed grace period");
+  assert.equal(Number(b.gone_ts), T + 90_000);
+  assert.equal(await sale(UUID.vanished), null);
+
+  const d = await auction(UUID.live);
+  assert.equal(d.is_ended, false);
+  assert.equal(Number(d.last_seen_ts), T + 90_000);
+
+  const { rows: attrs } = await db.query("SELECT row_kind, uuid FROM item_attributes WHERE row_kind = 'sales'");
+  assert.deepEqual(attrs.map((r) => r.uuid).sort(), [UUID.sold, UUID.bid].sort());
+
+  const { rows: state } = await db.query("SELECT state FROM ingest_state WHERE id = 'main'");
+  assert.equal(state[0].state.syncs, 2);
+  assert.equal(state[0].state.running, false);
+});
+
+test("finalizeEnded: vanished BIN the feed wasn't polled for ends unknown", { skip }, async () => {
+  await replayFixture();
+
+  // replay polls auctions_ended once per snapshot: T, then T+90s -> a gap around B's vanishing
+  const { processed, moved } = await ingest.finalizeEnded(AFTER_GRACE);
+  assert.equal(processed, 1);
+  assert.equal(moved, 0);
+
+  const b = await auction(UUID.vanished);
+  assert.equal(b.end_reason, "unknown");
+  assert.ok(b.finalized_ts);
+  assert.equal(await sale(UUID.vanished), null);
+});
+
+test("finalizeEnded: vanished BIN with the feed polled throughout ends cancelled", { skip }, async () => {
+  await replayFixture();
+
+  // what the 30s poller leaves behind while a sync runs
+  await db.query("INSERT INTO ended_feed_polls (ts) VALUES ($1), ($2) ON CONFLICT DO NOTHING", [
+    T + 30_000,
+    T + 60_000,
+  ]);
+
+  await ingest.finalizeEnded(AFTER_GRACE);
+
+  const b = await auction(UUID.vanished);
+  assert.equal(b.end_reason, "cancelled");
+  assert.equal(await sale(UUID.vanished), null);
+
+  // nothing left to finalize
+  assert.deepEqual(await ingest.finalizeEnded(AFTER_GRACE), { processed: 0, moved: 0 });
+});
@@ -0,0 +1,46 @@
+// tools/record_snapshot.js
+// Dump one full auctions snapshot (+ auctions_ended) from the live API to disk,
+// in the layout auctionSource.js reads back (dir / replay sources).
+//
+// Usage:
+//   node tools/record_snapshot.js fixtures/replay-1/0001
+//   node tools/record_snapshot.js fixtures/replay-1/0002   (a minute later, etc)
+//
+// Then:
+//   node ingest.js --source=dir --dir=fixtures/replay-1/0001
+//   node ingest.js --source=replay --dir=fixtures/replay-1
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createLiveSource } from "../auctionSource.js";
+
+async function run() {
+  const outDir = process.argv[2];
+  if (!outDir) throw new Error("Usage: node tools/record_snapshot.js <outDir>");
+
+  await fs.mkdir(outDir, { recursive: true });
+  const live = createLiveSource();
+
+  const write = (name, data) => fs.writeFile(path.join(outDir, name), JSON.stringify(data));
+
+  const first = await live.fetchPage(0);
+  const totalPages = Math.max(1, Number(first.totalPages || 1));
+  await write("page-0.json", first);
+  console.log(`📦 Recording ${totalPages} pages (lastUpdated ${first.lastUpdated}) -> ${outDir}`);
+
+  for (let p = 1; p < totalPages; p++) {
+    const data = await live.fetchPage(p);
+    if (Number(data.lastUpdated) !== Number(first.lastUpdated)) {
+      console.warn(`⚠️ page ${p} is from a newer snapshot (${data.lastUpdated}), dump is mixed`);
+    }
+    await write(`page-${p}.json`, data);
+  }
+
+  await write("ended.json", await live.fetchEnded());
+  console.log("✅ Snapshot recorded");
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
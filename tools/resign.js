@@ -0,0 +1,195 @@
+// tools/resign.js
+// Upgrade stored signatures to the current SIGNATURE_VERSION (parseLore.js).
+// Replaces the old one-off backfills (wi=/ult=/petlvl=/pet_item: shapes): every row whose
+// signature_version is below the current one is rebuilt from its own name/tier/lore/bytes,
+// and its item_attributes row (itemAttributes.js) is rewritten from the new signature.
+//
+// - walks each table by uuid in batches (keyset pagination, no OFFSET)
+// - signatures are built on the ingest worker pool (signaturePool.js)
+// - progress is checkpointed in resign_checkpoints after every batch, so a killed run
+//   resumes where it stopped; bumping SIGNATURE_VERSION starts a fresh checkpoint
+// - a finished pass rewinds its checkpoint, so the next run also catches rows inserted behind it
+// - only rows whose item_bytes decode are rewritten: enchants / WI / pet tokens come from NBT
+//   alone, so a rebuild from name + tier would overwrite a richer legacy signature. Rows with
+//   no item_bytes (legacy sales: the old table had no such column) are never selected and keep
+//   their legacy signature and version; undecodable bytes keep theirs too and are retried
+//   next pass. Either way signature_version always equals signatureVersionOf(signature)
+//
+// Usage:
+//   npm run resign                        (sales, then auctions)
+//   node tools/resign.js --table=sales --batch=1000
+//   node tools/resign.js --reset          (forget the checkpoint, rescan from the start)
+import "dotenv/config";
+import pg from "pg";
+import { SIGNATURE_VERSION, signatureVersionOf, hasItemNbt } from "../parseLore.js";
+import { createSignaturePool } from "../signaturePool.js";
+import { upsertItemAttributes } from "../itemAttributes.js";
+
+const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+
+const TABLES = ["sales", "auctions"];
+
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const hit = process.argv.find((a) => a.startsWith(prefix));
+  return hit ? hit.slice(prefix.length) : "";
+}
+
+/* =========================
+   Checkpoints
+========================= */
+async function loadCheckpoint(table) {
+  const { rows } = await pool.query(
+    `
+    SELECT last_uuid, done
+    FROM resign_checkpoints
+    WHERE table_name = $1 AND target_version = $2
+    `,
+    [table, SIGNATURE_VERSION]
+  );
+  return rows[0] ? { lastUuid: rows[0].last_uuid || "", done: Number(rows[0].done) || 0 } : { lastUuid: "", done: 0 };
+}
+
+async function saveCheckpoint(table, { lastUuid, done }, finished = false) {
+  await pool.query(
+    `
+    INSERT INTO resign_checkpoints (table_name, target_version, last_uuid, done, finished, updated_ts)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (table_name, target_version) DO UPDATE SET
+      last_uuid  = EXCLUDED.last_uuid,
+      done       = EXCLUDED.done,
+      finished   = EXCLUDED.finished,
+      updated_ts = EXCLUDED.updated_ts
+    `,
+    [table, SIGNATURE_VERSION, lastUuid, done, finished, Date.now()]
+  );
+}
+
+/* =========================
+   Re-sign one table
+========================= */
+async function resignTable(table, { batch, sigPool }) {
+  const cp = await loadCheckpoint(table);
+
+  const { rows: cnt } = await pool.query(
+    `
+    SELECT COUNT(*) FILTER (WHERE COALESCE(item_bytes, '') <> '')::int AS n,
+           COUNT(*) FILTER (WHERE COALESCE(item_bytes, '') = '')::int AS no_bytes
+    FROM ${table}
+    WHERE uuid > $1 AND COALESCE(signature_version, 0) < $2
+    `,
+    [cp.lastUuid, SIGNATURE_VERSION]
+  );
+  const remaining = cnt[0]?.n ?? 0;
+
+  console.log(
+    `🔏 ${table}: ${remaining} rows below v${SIGNATURE_VERSION}` +
+      (cp.lastUuid ? ` (resuming after ${cp.lastUuid}, ${cp.done} done)` : "")
+  );
+  if (cnt[0]?.no_bytes) {
+    console.log(`  ${table}: ${cnt[0].no_bytes} rows without item_bytes keep their legacy signature`);
+  }
+
+  const t0 = Date.now();
+  let { lastUuid, done } = cp;
+  let thisRun = 0;
+  let kept = 0;
+
+  while (true) {
+    const { rows } = await pool.query(
+      `
+      SELECT uuid, item_name, tier, item_lore, item_bytes, signature
+      FROM ${table}
+      WHERE uuid > $1 AND COALESCE(signature_version, 0) < $2
+        AND COALESCE(item_bytes, '') <> ''
+      ORDER BY uuid
+      LIMIT $3
+      `,
+      [lastUuid, SIGNATURE_VERSION, batch]
+    );
+    if (!rows.length) break;
+
+    const sigs = await Promise.all(
+      rows.map(async (r) => {
+        const itemBytes = (r.item_bytes || "").toString();
+        // bytes that don't decode would give a name + tier signature: keep the old one instead
+        if (!(await hasItemNbt(itemBytes))) return null;
+        return sigPool.build({
+          itemName: r.item_name || "",
+          lore: (r.item_lore || "").toString(),
+          tier: r.tier || "",
+          itemBytes,
+        });
+      })
+    );
+
+    // Not rebuilt from NBT -> keep the old signature with its own version. Stamping the current
+    // one would make the column lie (ingest keys off the string) and hide the row from later passes.
+    const { rows: stored } = await pool.query(
+      `
+      UPDATE ${table} t
+      SET signature = COALESCE(v.sig, t.signature),
+          signature_version = v.ver
+      FROM unnest($1::text[], $2::text[], $3::int[]) AS v(uuid, sig, ver)
+      WHERE t.uuid = v.uuid
+      RETURNING t.uuid, t.signature
+      `,
+      [
+        rows.map((r) => r.uuid),
+        sigs.map((s) => s || null),
+        sigs.map((s, i) => signatureVersionOf(s || rows[i].signature)),
+      ]
+    );
+    await upsertItemAttributes(pool, table, stored);
+
+    lastUuid = rows[rows.length - 1].uuid;
+    done += rows.length;
+    thisRun += rows.length;
+    kept += sigs.filter((s) => !s).length;
+    await saveCheckpoint(table, { lastUuid, done });
+
+    const secs = Math.max(1, (Date.now() - t0) / 1000);
+    const rate = thisRun / secs;
+    const left = Math.max(0, remaining - thisRun);
+    console.log(
+      `  ${table}: ${thisRun}/${remaining} (${rate.toFixed(0)}/s, ~${Math.round(left / Math.max(rate, 1))}s left)`
+    );
+  }
+
+  // pass complete: rewind, so rows inserted below lastUuid since the pass started aren't skipped forever
+  await saveCheckpoint(table, { lastUuid: "", done }, true);
+  console.log(
+    `✅ ${table}: re-signed ${thisRun - kept} rows this run, ${kept} kept their old signature (${done} scanned at v${SIGNATURE_VERSION})`
+  );
+}
+
+async function run() {
+  const only = argValue("table");
+  const tables = only ? [only] : TABLES;
+  for (const t of tables) {
+    if (!TABLES.includes(t)) throw new Error(`Unknown table: ${t} (expected ${TABLES.join(" / ")})`);
+  }
+
+  const batch = Math.max(50, Math.min(10_000, Number(argValue("batch") || 500)));
+
+  if (process.argv.includes("--reset")) {
+    await pool.query(
+      `DELETE FROM resign_checkpoints WHERE table_name = ANY($1) AND target_version = $2`,
+      [tables, SIGNATURE_VERSION]
+    );
+    console.log("↺ Checkpoints cleared");
+  }
+
+  const sigPool = createSignaturePool();
+  try {
+    for (const t of tables) await resignTable(t, { batch, sigPool });
+  } finally {
+    await sigPool.close();
+    await pool.end();
+  }
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// tools/webhook_receiver.js
+// Local endpoint for testing watch alerts (watches.js): prints every delivery.
+// - flags repeat deliveries of the same X-Watch-Alert-Id
+// - checks X-Signature when WEBHOOK_SECRET is set (same secret as the server)
+// - --fail=N answers the first N requests with 500, to watch the server retry
+//
+// Usage:
+//   node tools/webhook_receiver.js --port=8787 --fail=2
+//   then create a watch with "webhook_url": "http://localhost:8787/alerts"
+import "dotenv/config";
+import http from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+function argValue(name) {
+  const prefix = `--${name}=`;
+  const hit = process.argv.find((a) => a.startsWith(prefix));
+  return hit ? hit.slice(prefix.length) : "";
+}
+
+const PORT = Number(argValue("port") || 8787);
+let failLeft = Math.max(0, Number(argValue("fail") || 0));
+const secret = process.env.WEBHOOK_SECRET || "";
+const seen = new Map(); // alert id -> deliveries
+
+function signatureOk(body, header) {
+  if (!secret) return null;
+  const want = Buffer.from(`sha256=${createHmac("sha256", secret).update(body).digest("hex")}`);
+  const got = Buffer.from(String(header || ""));
+  return want.length === got.length && timingSafeEqual(want, got);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const id = String(req.headers["x-watch-alert-id"] || "?");
+
+    if (failLeft > 0) {
+      failLeft--;
+      console.log(`💥 alert ${id}: answering 500 (${failLeft} forced failures left)`);
+      res.writeHead(500).end("forced failure");
+      return;
+    }
+
+    const count = (seen.get(id) || 0) + 1;
+    seen.set(id, count);
+
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch {}
+
+    const sig = signatureOk(body, req.headers["x-signature"]);
+    const a = payload?.auction || {};
+    const w = payload?.watch || {};
+    console.log(
+      `🔔 alert ${id}${count > 1 ? ` (DUPLICATE #${count})` : ""}` +
+        `${sig === null ? "" : sig ? " [signature ok]" : " [BAD SIGNATURE]"}: ` +
+        `watch ${w.id} "${w.name || w.item_key}" <= ${w.target_price} -> ` +
+        `${a.item_name} @ ${a.price} (${a.quality}) uuid ${a.uuid}`
+    );
+
+    res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify({ ok: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Webhook receiver listening on http://localhost:${PORT}` + (failLeft ? ` (failing first ${failLeft})` : ""));
+});
@@ -0,0 +1,252 @@
+// watches.js
+// Watchlists: a saved /api/recommend query (item + modifiers) with a target price.
+// server.js evaluates every enabled watch after each ingest sync; a live BIN that matches and
+// is at or under the target becomes one watch_alerts row, delivered to the watch's webhook.
+//
+// - de-duplication: watch_alerts is unique on (watch_id, auction_uuid), so an auction alerts once
+// - delivery: POST JSON, 2xx = delivered; anything else retries with exponential backoff
+//   (WEBHOOK_RETRY_BASE_MS, doubling) until WEBHOOK_MAX_ATTEMPTS, then the alert is "failed"
+// - every request carries X-Watch-Alert-Id (stable across retries) so receivers can dedupe too,
+//   and X-Signature: sha256=<hmac of the body> when WEBHOOK_SECRET is set
+// - alerts are claimed with FOR UPDATE SKIP LOCKED, so two servers never send the same one
+//
+// Local testing: node tools/webhook_receiver.js
+import { createHmac } from "node:crypto";
+import { canonicalItemKey } from "./parseLore.js";
+
+export const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const WEBHOOK_RETRY_BASE_MS = Math.max(1000, Number(process.env.WEBHOOK_RETRY_BASE_MS || 30_000));
+const WEBHOOK_TIMEOUT_MS = 5000;
+const DELIVERY_LEASE_MS = 60_000;
+const DELIVERY_BATCH = 50;
+
+/* =========================
+   Validation
+========================= */
+
+/**
+ * body: { name?, query: { item, ...same params as /api/recommend }, target_price, webhook_url, perfect_only? }
+ * Throws with a user-facing message when something is missing or malformed.
+ */
+export function validateWatchInput(body) {
+  const problems = [];
+  const query = body?.query && typeof body.query === "object" && !Array.isArray(body.query) ? body.query : null;
+
+  const itemKey = canonicalItemKey(String(query?.item || ""));
+  if (!query) problems.push("query must be an object of /api/recommend parameters");
+  else if (!itemKey) problems.push("query.item is required");
+
+  const target = Number(body?.target_price);
+  if (!Number.isFinite(target) || target <= 0) problems.push("target_price must be a positive number of coins");
+
+  let url = null;
+  try {
+    url = new URL(String(body?.webhook_url || ""));
+    if (url.protocol !== "http:" && url.protocol !== "https:") url = null;
+  } catch {}
+  if (!url) problems.push("webhook_url must be an http(s) URL");
+
+  if (problems.length) throw new Error(problems.join("; "));
+
+  // query values go back through parseMatchQuery, so keep them as plain strings
+  const cleanQuery = Object.fromEntries(
+    Object.entries(query)
+      .filter(([, v]) => v != null && typeof v !== "object")
+      .map(([k, v]) => [k, String(v)])
+  );
+
+  return {
+    name: String(body?.name || "").trim().slice(0, 120),
+    itemKey,
+    query: cleanQuery,
+    targetPrice: Math.round(target),
+    webhookUrl: url.toString(),
+    perfectOnly: body?.perfect_only === true || body?.perfect_only === "1" || body?.perfect_only === "true",
+  };
+}
+
+/* =========================
+   Watches
+========================= */
+
+export async function createWatch(db, w, now = Date.now()) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO watches (name, item_key, query, target_price, perfect_only, webhook_url, enabled, created_ts)
+    VALUES ($1, $2, $3, $4, $5, $6, true, $7)
+    RETURNING *
+    `,
+    [w.name, w.itemKey, JSON.stringify(w.query), w.targetPrice, w.perfectOnly, w.webhookUrl, now]
+  );
+  return rows[0];
+}
+
+export async function listWatches(db, { enabledOnly = false } = {}) {
+  const { rows } = await db.query(
+    `
+    SELECT w.*,
+           COUNT(a.id) FILTER (WHERE a.status = 'pending')::int   AS alerts_pending,
+           COUNT(a.id) FILTER (WHERE a.status = 'delivered')::int AS alerts_delivered,
+           COUNT(a.id) FILTER (WHERE a.status = 'failed')::int    AS alerts_failed
+    FROM watches w
+    LEFT JOIN watch_alerts a ON a.watch_id = w.id
+    ${enabledOnly ? "WHERE w.enabled" : ""}
+    GROUP BY w.id
+    ORDER BY w.id
+    `
+  );
+  return rows;
+}
+
+export async function setWatchEnabled(db, id, enabled) {
+  const { rows } = await db.query(`UPDATE watches SET enabled = $2 WHERE id = $1 RETURNING *`, [id, !!enabled]);
+  return rows[0] || null;
+}
+
+export async function deleteWatch(db, id) {
+  const { rowCount } = await db.query(`DELETE FROM watches WHERE id = $1`, [id]);
+  return rowCount > 0;
+}
+
+export async function listWatchAlerts(db, watchId, limit = 50) {
+  const { rows } = await db.query(
+    `
+    SELECT id, auction_uuid, price, status, attempts, last_error, created_ts, delivered_ts, payload
+    FROM watch_alerts
+    WHERE watch_id = $1
+    ORDER BY id DESC
+    LIMIT $2
+    `,
+    [watchId, limit]
+  );
+  return rows;
+}
+
+export async function markWatchChecked(db, id, now = Date.now()) {
+  await db.query(`UPDATE watches SET last_checked_ts = $2 WHERE id = $1`, [id, now]);
+}
+
+/* =========================
+   Alerts
+========================= */
+
+/**
+ * hits: [{ uuid, item_name, price, end_ts, quality }] (live BINs that matched and are <= target).
+ * Returns how many were new; auctions already alerted for this watch are skipped.
+ */
+export async function recordWatchAlerts(db, watch, hits, now = Date.now()) {
+  if (!hits.length) return 0;
+
+  const payloads = hits.map((h) =>
+    JSON.stringify({
+      watch: {
+        id: Number(watch.id),
+        name: watch.name,
+        item_key: watch.item_key,
+        target_price: Number(watch.target_price),
+      },
+      auction: {
+        uuid: h.uuid,
+        item_name: h.item_name,
+        price: h.price,
+        end_ts: h.end_ts,
+        quality: h.quality,
+      },
+      created_ts: now,
+    })
+  );
+
+  const { rowCount } = await db.query(
+    `
+    INSERT INTO watch_alerts (watch_id, auction_uuid, price, payload, status, attempts, next_attempt_ts, created_ts)
+    SELECT $1::bigint, v.uuid, v.price, v.payload, 'pending', 0, $5::bigint, $5::bigint
+    FROM unnest($2::text[], $3::bigint[], $4::jsonb[]) AS v(uuid, price, payload)
+    ON CONFLICT (watch_id, auction_uuid) DO NOTHING
+    `,
+    [watch.id, hits.map((h) => h.uuid), hits.map((h) => h.price), payloads, now]
+  );
+  return rowCount;
+}
+
+function signBody(body) {
+  const secret = process.env.WEBHOOK_SECRET || "";
+  return secret ? `sha256=${createHmac("sha256", secret).update(body).digest("hex")}` : null;
+}
+
+async function postAlert(url, alertId, payload) {
+  const body = JSON.stringify({ alert_id: alertId, ...payload });
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "skyblock-auction-toolkit-watch/1",
+    "x-watch-alert-id": String(alertId),
+  };
+  const sig = signBody(body);
+  if (sig) headers["x-signature"] = sig;
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+/**
+ * Send every due pending alert once. Returns { sent, retried, failed }.
+ */
+export async function deliverPendingAlerts(db, now = Date.now()) {
+  // claim a batch: pushing next_attempt_ts out is the lease, so a crash mid-send just retries later
+  const { rows } = await db.query(
+    `
+    UPDATE watch_alerts a
+    SET next_attempt_ts = $2
+    FROM watches w
+    WHERE a.id IN (
+      SELECT id
+      FROM watch_alerts
+      WHERE status = 'pending' AND next_attempt_ts <= $1
+      ORDER BY next_attempt_ts
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+      AND w.id = a.watch_id
+    RETURNING a.id, a.payload, a.attempts, w.webhook_url
+    `,
+    [now, now + DELIVERY_LEASE_MS, DELIVERY_BATCH]
+  );
+
+  const stats = { sent: 0, retried: 0, failed: 0 };
+
+  for (const a of rows) {
+    const attempts = Number(a.attempts) + 1;
+    try {
+      await postAlert(a.webhook_url, Number(a.id), a.payload);
+      await db.query(
+        `UPDATE watch_alerts SET status = 'delivered', attempts = $2, delivered_ts = $3, last_error = NULL WHERE id = $1`,
+        [a.id, attempts, Date.now()]
+      );
+      stats.sent++;
+    } catch (e) {
+      const giveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+      await db.query(
+        `
+        UPDATE watch_alerts
+        SET status = $2, attempts = $3, next_attempt_ts = $4, last_error = $5
+        WHERE id = $1
+        `,
+        [
+          a.id,
+          giveUp ? "failed" : "pending",
+          attempts,
+          Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1),
+          String(e?.message || e).slice(0, 500),
+        ]
+      );
+      if (giveUp) stats.failed++;
+      else stats.retried++;
+    }
+  }
+
+  return stats;
+}